@@ -0,0 +1,195 @@
+/**
+ * PF2E Property Runes - Activated Rune Automation
+ * Runes whose owner chooses to use them when a trigger fires
+ *
+ * Activated runes only declare their trigger, cost and outcome; the rune registry's
+ * activation prompts ask the owner and spend the action or reaction. Returning needs
+ * no activation and brings its weapon back after each thrown Strike.
+ */
+
+import { shouldShowChat, createRuneCard } from "./utils.js";
+import { PropertyRuneHandler, RUNE_TRIGGERS } from "./rune-registry.js";
+import { LOG_EVENTS } from "./combat-log.js";
+import { RUNE_SLOTS, isThrown, getFreeHands } from "./slots.js";
+import { ACTIVATION_COSTS } from "./prompts.js";
+import { FREQUENCY_PERIODS } from "./frequency.js";
+import { RUNE_EFFECTS, EFFECT_DURATIONS, applyRuneEffect } from "./effects.js";
+
+export class ReturningRuneAutomation extends PropertyRuneHandler {
+    constructor() {
+        super({
+            slug: "returning",
+            name: "Returning Rune",
+            itemType: "weapon",
+            slots: [RUNE_SLOTS.WEAPON],
+            grades: {
+                "standard": {
+                    name: "Returning Rune"
+                }
+            },
+            triggers: [RUNE_TRIGGERS.ON_STRIKE],
+            configurableFields: []
+        });
+    }
+
+    /**
+     * A thrown weapon flies back after the Strike, with no activation
+     */
+    async resolve({ combat, message, token, actor, item }) {
+        // Strikes carry a copy of the weapon; the actor's own item is the one to move
+        const weapon = actor?.items.get(item?.id);
+        const found = weapon ? this.findRuneOnItem(weapon) : null;
+        if (!found?.data || !this.isThrownStrike(message, weapon) || !this.isEnabledForToken(token)) {
+            return;
+        }
+
+        // Put the weapon back in the hands it is wielded with, if they are free
+        const hands = weapon.system?.usage?.value === "held-in-two-hands" ? 2 : 1;
+        const equipped = weapon.system?.equipped ?? {};
+        if (equipped.carryType === "held" && equipped.handsHeld >= hands) {
+            return;
+        }
+        if (getFreeHands(actor, weapon) < hands) {
+            this.record(combat, LOG_EVENTS.REJECTED, `${weapon.name} cannot return to ${token?.name ?? actor.name}, whose hands are full`);
+            return;
+        }
+
+        await weapon.update({
+            "system.equipped.carryType": "held",
+            "system.equipped.handsHeld": hands
+        });
+
+        const text = `${weapon.name} flies back into <strong>${token?.name ?? actor.name}</strong>'s hand.`;
+        this.record(combat, LOG_EVENTS.EFFECT, text.replace(/<[^>]+>/g, ""));
+        if (shouldShowChat()) {
+            await createRuneCard({ title: found.data.name, img: weapon.img, body: `<p>${text}</p>`, speaker: ChatMessage.getSpeaker({ actor, token }) });
+        }
+    }
+
+    /**
+     * Check if a Strike threw its weapon rather than swinging it in melee
+     */
+    isThrownStrike(message, weapon) {
+        const options = message?.flags?.pf2e?.context?.options ?? [];
+        return isThrown(weapon) && (options.includes("item:ranged") || weapon.isRanged === true);
+    }
+}
+
+export class InvisibilityRuneAutomation extends PropertyRuneHandler {
+    constructor() {
+        super({
+            slug: "invisibility",
+            name: "Invisibility Rune",
+            itemType: "armor",
+            slots: [RUNE_SLOTS.ARMOR],
+            grades: {
+                "standard": {
+                    name: "Invisibility Rune",
+                    uses: 1
+                },
+                "greater": {
+                    name: "Greater Invisibility Rune",
+                    uses: 3
+                }
+            },
+            // Activated from the Token HUD rather than by a trigger
+            triggers: [],
+            configurableFields: ["uses"],
+            activation: {
+                cost: ACTIVATION_COSTS.ACTION,
+                frequency: { per: FREQUENCY_PERIODS.DAY }
+            }
+        });
+    }
+
+    /**
+     * Get the chat card text for the wearer turning invisible
+     */
+    getActivationText({ token, actor }) {
+        return `<strong>${token?.name ?? actor.name}</strong> turns invisible for 1 minute.`;
+    }
+
+    /**
+     * Make the wearer invisible for 1 minute
+     */
+    async activate({ token, actor }, found) {
+        await applyRuneEffect(RUNE_EFFECTS.INVISIBILITY, actor, {
+            token,
+            origin: { actor, token, item: found.item },
+            duration: EFFECT_DURATIONS.ONE_MINUTE
+        });
+    }
+}
+
+// Damage types energy-absorbing armor can absorb
+const ABSORBED_DAMAGE_TYPES = ["acid", "cold", "electricity", "fire"];
+
+export class EnergyAbsorbingRuneAutomation extends PropertyRuneHandler {
+    constructor() {
+        super({
+            slug: "energy-absorbing",
+            name: "Energy-Absorbing Rune",
+            itemType: "armor",
+            slots: [RUNE_SLOTS.ARMOR],
+            grades: {
+                "standard": {
+                    name: "Energy-Absorbing Rune",
+                    resistance: 5
+                }
+            },
+            triggers: [RUNE_TRIGGERS.ON_DAMAGE_TAKEN],
+            configurableFields: ["resistance"],
+            activation: {
+                cost: ACTIVATION_COSTS.REACTION,
+                frequency: { per: FREQUENCY_PERIODS.DAY }
+            }
+        });
+    }
+
+    /**
+     * Get the energy type of the damage a spell dealt, or null
+     * Read from the roll options PF2E keeps on the applied damage message
+     */
+    getDamageType({ message }) {
+        const options = message?.flags?.pf2e?.context?.options ?? [];
+        if (!options.includes("item:type:spell")) {
+            return null;
+        }
+        return ABSORBED_DAMAGE_TYPES.find(type => options.includes(`damage:type:${type}`)) ?? null;
+    }
+
+    /**
+     * Only acid, cold, electricity or fire damage from a spell triggers the rune
+     */
+    canActivate(context) {
+        return !!this.getDamageType(context);
+    }
+
+    /**
+     * Get the question put to the wearer
+     */
+    getPromptText(context) {
+        return `Cast resist energy against ${this.getDamageType(context)} damage?`;
+    }
+
+    /**
+     * Get the chat card text for the wearer absorbing the energy
+     */
+    getActivationText(context, found) {
+        return `<strong>${context.token?.name ?? context.actor.name}</strong> gains resistance ${found.data.resistance} to ${this.getDamageType(context)} for 10 minutes.`;
+    }
+
+    /**
+     * Cast 2nd-rank resist energy on the wearer against the triggering damage type
+     */
+    async activate(context, found) {
+        const { token, actor } = context;
+        await applyRuneEffect(RUNE_EFFECTS.ENERGY_ABSORBING, actor, {
+            token,
+            origin: { actor, token, item: found.item },
+            duration: EFFECT_DURATIONS.TEN_MINUTES,
+            badge: found.data.resistance,
+            flags: { damageType: this.getDamageType(context) }
+        });
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * PF2E Property Runes - Alliance Detection
+ * Works out which side of a fight a creature is on
+ *
+ * Sides are resolved in order from:
+ *   1. A per-token override flag (flags.pf2e-property-runes.alliance)
+ *   2. The PF2E alliance explicitly set on the actor (system.details.alliance)
+ *   3. The token's disposition
+ *   4. Name and trait heuristics, if enabled in the module settings
+ *   5. The PF2E default alliance for the actor type
+ */
+
+import { MODULE_ID, log } from "./utils.js";
+
+export const ALLIANCES = Object.freeze({
+    PARTY: "party",
+    OPPOSITION: "opposition",
+    NEUTRAL: "neutral"
+});
+
+// Define traits that indicate ally/enemy status
+const ALLY_TRAITS = [
+    "ally", "friendly", "helpful", "beneficial", "construct", "companion",
+    "familiar", "pet", "mount", "steed", "guardian", "protector"
+];
+
+const ENEMY_TRAITS = [
+    "enemy", "hostile", "harmful", "dangerous", "evil", "chaotic",
+    "aggressive", "violent", "destructive"
+];
+
+const ALLY_NAME_INDICATORS = [
+    "companion", "ally", "friend", "helper", "assistant", "familiar",
+    "pet", "mount", "steed", "guardian", "protector", "escort"
+];
+
+/**
+ * Get the token document representing an actor, if any
+ */
+function getActorToken(actor) {
+    return actor.token ?? actor.getActiveTokens?.(false, true)?.[0] ?? null;
+}
+
+/**
+ * Convert a token disposition to a side
+ * Secret dispositions say nothing about the token's side
+ */
+function getDispositionAlliance(token) {
+    switch (token?.disposition) {
+        case CONST.TOKEN_DISPOSITIONS.FRIENDLY: return ALLIANCES.PARTY;
+        case CONST.TOKEN_DISPOSITIONS.HOSTILE: return ALLIANCES.OPPOSITION;
+        case CONST.TOKEN_DISPOSITIONS.NEUTRAL: return ALLIANCES.NEUTRAL;
+        default: return null;
+    }
+}
+
+/**
+ * Guess a side from an NPC's name and traits
+ * Returns null when nothing suggests either side
+ */
+export function guessAllianceFromTraits(actor) {
+    if (actor.type !== "npc") {
+        return null;
+    }
+
+    const actorTraits = (actor.system?.traits?.value ?? []).map(t => t.toLowerCase());
+
+    // Check for ally traits first (these override other considerations)
+    if (actorTraits.some(trait => ALLY_TRAITS.includes(trait))) {
+        return ALLIANCES.PARTY;
+    }
+
+    // Check for enemy traits (these override other considerations)
+    if (actorTraits.some(trait => ENEMY_TRAITS.includes(trait))) {
+        return ALLIANCES.OPPOSITION;
+    }
+
+    // Check if the actor has a name that suggests it's an ally
+    const actorNameLower = actor.name.toLowerCase();
+    if (ALLY_NAME_INDICATORS.some(indicator => actorNameLower.includes(indicator))) {
+        return ALLIANCES.PARTY;
+    }
+
+    // Good and lawful alignments are more likely to be allies
+    if (actorTraits.includes("good") || actorTraits.includes("lawful")) {
+        return ALLIANCES.PARTY;
+    }
+
+    return null;
+}
+
+/**
+ * Get the side a creature is on
+ * Pass the token when known so unlinked tokens can differ from their base actor
+ */
+export function getAlliance(actor, token = null) {
+    token = token ?? getActorToken(actor);
+
+    const override = token?.getFlag?.(MODULE_ID, "alliance");
+    if (Object.values(ALLIANCES).includes(override)) {
+        return override;
+    }
+
+    // An alliance the GM set on the actor; null means neutral
+    const sourceAlliance = actor._source?.system?.details?.alliance;
+    if (sourceAlliance !== undefined) {
+        return sourceAlliance ?? ALLIANCES.NEUTRAL;
+    }
+
+    const dispositionAlliance = getDispositionAlliance(token);
+    if (dispositionAlliance) {
+        return dispositionAlliance;
+    }
+
+    if (game.settings.get(MODULE_ID, "alliance-heuristics")) {
+        const guessed = guessAllianceFromTraits(actor);
+        if (guessed) {
+            log(`Guessed ${actor.name}'s alliance from name and traits: ${guessed}`);
+            return guessed;
+        }
+    }
+
+    // PF2E's default: characters are in the party, NPCs are opposition
+    if (actor.alliance !== undefined) {
+        return actor.alliance ?? ALLIANCES.NEUTRAL;
+    }
+    return actor.type === "character" ? ALLIANCES.PARTY : ALLIANCES.OPPOSITION;
+}
+
+/**
+ * Check if two creatures are on opposing sides
+ * Neutral creatures are nobody's enemy
+ */
+export function areEnemies(allianceA, allianceB) {
+    if (allianceA === ALLIANCES.NEUTRAL || allianceB === ALLIANCES.NEUTRAL) {
+        return false;
+    }
+    return allianceA !== allianceB;
+}
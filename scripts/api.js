@@ -0,0 +1,131 @@
+/**
+ * PF2E Property Runes - Module API
+ * Functions for inspecting and exercising rune automation from macros and the console
+ *
+ * Available as game.modules.get("pf2e-property-runes").api once the world is ready:
+ *
+ *   const api = game.modules.get("pf2e-property-runes").api;
+ *   api.getRunes(actor);        // automated runes on the actor's equipped items
+ *   api.evaluate(token);        // whether each rune would act for the token, and why not
+ *   api.explainTrigger(token);  // the full decision tree per rune
+ *   api.forceTrigger(token);    // fire end of turn triggers for the token now
+ *   api.activate(token, slug);  // activate a rune the token's owner uses by hand
+ */
+
+import { SOCKET_ACTIONS } from "./socket.js";
+import { RuneDiagnostics } from "./diagnostics.js";
+
+/**
+ * Accept a Token placeable or a TokenDocument
+ */
+function toTokenDocument(token) {
+    return token?.document ?? token ?? null;
+}
+
+/**
+ * Find the first failed step in a decision tree, depth first
+ * Alternative steps are skipped, as another step decides whether one of them is enough
+ */
+function findFailure(steps) {
+    for (const step of steps) {
+        if (step.passed || step.alternative) {
+            continue;
+        }
+        return step.children?.length && !step.children.every(child => child.passed)
+            ? findFailure(step.children) ?? step
+            : step;
+    }
+    return null;
+}
+
+/**
+ * Create the API object for a rune registry
+ */
+export function createApi(registry) {
+    const api = {
+        /**
+         * Get every automated rune on an actor's equipped items
+         * Returns [{ slug, name, grade, item, data }]
+         */
+        getRunes(actor) {
+            const runes = [];
+            for (const handler of registry.handlers.values()) {
+                const found = handler.findRune(actor);
+                if (found) {
+                    runes.push({
+                        slug: handler.slug,
+                        name: found.data?.name ?? handler.name ?? handler.slug,
+                        grade: found.grade,
+                        item: found.item,
+                        data: found.data
+                    });
+                }
+            }
+            return runes;
+        },
+
+        /**
+         * Get the decision tree of every rune for a token
+         * Returns [{ slug, name, steps }]
+         */
+        explainTrigger(token) {
+            const document = toTokenDocument(token);
+            if (!document?.actor) {
+                return [];
+            }
+
+            return [...registry.handlers.values()].map(handler => ({
+                slug: handler.slug,
+                name: handler.name ?? handler.slug,
+                steps: handler.explain(document)
+            }));
+        },
+
+        /**
+         * Check whether each rune would act for a token
+         * Returns [{ slug, name, eligible, reason }], reason being the first failed step
+         */
+        evaluate(token) {
+            return api.explainTrigger(token).map(({ slug, name, steps }) => {
+                const failure = findFailure(steps);
+                return {
+                    slug,
+                    name,
+                    eligible: !failure,
+                    reason: failure ? `${failure.label}: ${failure.detail}` : null
+                };
+            });
+        },
+
+        /**
+         * Fire end of turn triggers for a token on the GM executor
+         */
+        async forceTrigger(token) {
+            const document = toTokenDocument(token);
+            if (!document?.actor) {
+                return;
+            }
+            return registry.socket.execute(SOCKET_ACTIONS.FORCE_TRIGGER, { tokenUuid: document.uuid });
+        },
+
+        /**
+         * Activate a rune for a token on the GM executor, as the Token HUD's Activate button does
+         * The rune's cost is spent and its uses counted; exhausted runes are refused
+         */
+        async activate(token, slug) {
+            const document = toTokenDocument(token);
+            if (!document?.actor) {
+                return;
+            }
+            return registry.socket.execute(SOCKET_ACTIONS.ACTIVATE, { tokenUuid: document.uuid, slug });
+        },
+
+        /**
+         * Open the Rune Diagnostics window for the controlled tokens
+         */
+        openDiagnostics() {
+            return new RuneDiagnostics().render(true);
+        }
+    };
+    return api;
+}
@@ -0,0 +1,138 @@
+/**
+ * PF2E Property Runes - Rune Aura Layer
+ * Draws the emanation of rune wearers on the canvas and highlights affected creatures
+ *
+ * Handlers flagged as emanations get a soft aura around every wearer, sized by
+ * the grade's range. Creatures the rune is currently pressuring (for the Dread
+ * Rune, frightened enemies in range) get a ring. Each user can turn it off.
+ */
+
+import { MODULE_ID } from "./utils.js";
+import { getTokenCenter } from "./visibility.js";
+
+const AURA_COLOR = 0x8b4513;
+const HIGHLIGHT_COLOR = 0xf7931e;
+
+const BaseCanvasLayer = foundry.canvas?.layers?.CanvasLayer ?? CanvasLayer;
+
+export class RuneAuraLayer extends BaseCanvasLayer {
+    constructor() {
+        super();
+        this.auras = null;
+        this.requestRefresh = foundry.utils.debounce(this.refresh.bind(this), 100);
+    }
+
+    static get layerOptions() {
+        return foundry.utils.mergeObject(super.layerOptions, { name: "runeAuras" });
+    }
+
+    /**
+     * Register the layer and the hooks that redraw it
+     * Must be called during init, before the canvas is set up
+     */
+    static register() {
+        CONFIG.Canvas.layers.runeAuras = { layerClass: RuneAuraLayer, group: "interface" };
+
+        game.settings.register(MODULE_ID, "show-auras", {
+            name: "PF2E-PROPERTY-RUNES.SETTINGS.SHOW_AURAS",
+            hint: "PF2E-PROPERTY-RUNES.SETTINGS.SHOW_AURAS_HINT",
+            scope: "client",
+            config: true,
+            type: Boolean,
+            default: true,
+            onChange: () => canvas.runeAuras?.requestRefresh()
+        });
+
+        const refresh = () => canvas.runeAuras?.requestRefresh();
+        for (const hook of ["createToken", "updateToken", "deleteToken", "createItem", "updateItem", "deleteItem", "updateActor", "createCombatant", "deleteCombatant"]) {
+            Hooks.on(hook, refresh);
+        }
+    }
+
+    /** @override */
+    async _draw(options) {
+        this.auras = this.addChild(new PIXI.Graphics());
+        this.refresh();
+    }
+
+    /** @override */
+    async _tearDown(options) {
+        this.auras = null;
+        return super._tearDown(options);
+    }
+
+    /**
+     * Redraw every aura on the current scene
+     */
+    refresh() {
+        if (!this.auras || this.auras.destroyed) {
+            return;
+        }
+        this.auras.clear();
+
+        const registry = game.modules.get(MODULE_ID)?.api?.registry;
+        const scene = canvas.scene;
+        if (!registry || !scene || !game.settings.get(MODULE_ID, "show-auras")) {
+            return;
+        }
+
+        const highlighted = new Set();
+        for (const handler of registry.handlers.values()) {
+            if (!handler.emanation || !handler.isEnabled()) {
+                continue;
+            }
+
+            for (const wearerToken of handler.getRuneTokens(scene)) {
+                // Don't give away hidden wearers
+                if (!wearerToken.object?.visible) {
+                    continue;
+                }
+
+                const runeData = handler.getRuneData(wearerToken.actor);
+                if (!runeData?.range) {
+                    continue;
+                }
+
+                this.drawAura(wearerToken, runeData.range, scene);
+                for (const token of handler.getAuraHighlights(wearerToken, runeData)) {
+                    highlighted.add(token);
+                }
+            }
+        }
+
+        for (const token of highlighted) {
+            if (token.object?.visible) {
+                this.drawHighlight(token, scene);
+            }
+        }
+    }
+
+    /**
+     * Draw a soft emanation around a wearer, measured from the edge of its space
+     */
+    drawAura(token, range, scene) {
+        const center = getTokenCenter(token);
+        const size = scene.grid.size;
+        const radius = (range / scene.grid.distance) * size + (Math.max(token.width, token.height) * size) / 2;
+
+        this.auras
+            .lineStyle(2, AURA_COLOR, 0.5)
+            .beginFill(AURA_COLOR, 0.08)
+            .drawCircle(center.x, center.y, radius)
+            .endFill();
+    }
+
+    /**
+     * Ring a creature the rune is affecting
+     */
+    drawHighlight(token, scene) {
+        const center = getTokenCenter(token);
+        const radius = (Math.max(token.width, token.height) * scene.grid.size) / 2 + 4;
+
+        this.auras
+            .lineStyle(3, HIGHLIGHT_COLOR, 0.8)
+            .beginFill(HIGHLIGHT_COLOR, 0.12)
+            .drawCircle(center.x, center.y, radius)
+            .endFill();
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * PF2E Property Runes - Combat Automation Log
+ * Keeps a per-combat record of every trigger, rejection, save and effect
+ *
+ * Entries are stored in a flag on the Combat document. When the combat is
+ * deleted, GMs get a chat card that exports the log to a journal entry, so
+ * disputes can be reviewed after the session.
+ */
+
+import { MODULE_ID, log, createRuneCard } from "./utils.js";
+import { isExecutor } from "./socket.js";
+
+export const LOG_EVENTS = Object.freeze({
+    TRIGGER: "trigger",
+    REJECTED: "rejected",
+    PROMPT: "prompt",
+    SAVE: "save",
+    OUTCOME: "outcome",
+    EFFECT: "effect"
+});
+
+const EVENT_LABELS = {
+    [LOG_EVENTS.TRIGGER]: "Trigger",
+    [LOG_EVENTS.REJECTED]: "Rejected",
+    [LOG_EVENTS.PROMPT]: "Prompt",
+    [LOG_EVENTS.SAVE]: "Save",
+    [LOG_EVENTS.OUTCOME]: "Outcome",
+    [LOG_EVENTS.EFFECT]: "Effect"
+};
+
+/**
+ * Escape text for the exported journal, since entries include actor and item names
+ */
+function escapeHTML(text) {
+    return Handlebars.escapeExpression(String(text ?? ""));
+}
+
+export class CombatLog {
+    constructor() {
+        // Combat ID → entries not yet written to the combat
+        this.pending = new Map();
+        // Flushes run one at a time so overlapping writes can't drop entries
+        this.flushing = Promise.resolve();
+        this.requestFlush = foundry.utils.debounce(this.flush.bind(this), 250);
+        this.initializeHooks();
+    }
+
+    /**
+     * Initialize FoundryVTT hooks for the log
+     */
+    initializeHooks() {
+        Hooks.on("deleteCombat", this.onCombatDeleted.bind(this));
+
+        const renderHook = game.release.generation >= 13 ? "renderChatMessageHTML" : "renderChatMessage";
+        Hooks.on(renderHook, this.onRenderChatMessage.bind(this));
+    }
+
+    /**
+     * Add an entry to a combat's log
+     * Nothing is recorded for events outside a combat
+     */
+    record(combat, { rune = null, event, message }) {
+        if (!combat || !isExecutor()) {
+            return;
+        }
+
+        const entries = this.pending.get(combat.id) ?? [];
+        entries.push({
+            time: Date.now(),
+            round: combat.round,
+            turn: combat.turn,
+            rune,
+            event,
+            message
+        });
+        this.pending.set(combat.id, entries);
+        this.requestFlush();
+    }
+
+    /**
+     * Get a combat's full log, including entries not written yet
+     */
+    getEntries(combat) {
+        return [...(combat.getFlag(MODULE_ID, "automationLog") ?? []), ...(this.pending.get(combat.id) ?? [])];
+    }
+
+    /**
+     * Write pending entries to their combats, after any flush already running
+     */
+    flush() {
+        this.flushing = this.flushing
+            .then(() => this.writePending())
+            .catch(error => console.error("Error writing the rune automation log:", error));
+        return this.flushing;
+    }
+
+    /**
+     * Append pending entries to each combat's stored log
+     */
+    async writePending() {
+        const pending = [...this.pending.entries()];
+        this.pending.clear();
+
+        for (const [combatId, entries] of pending) {
+            const combat = game.combats.get(combatId);
+            if (!combat) {
+                continue;
+            }
+
+            const existing = combat.getFlag(MODULE_ID, "automationLog") ?? [];
+            await combat.setFlag(MODULE_ID, "automationLog", [...existing, ...entries]);
+        }
+    }
+
+    /**
+     * Called when a combat is deleted
+     * Offers the finished combat's log for export on a GM-only chat card
+     */
+    async onCombatDeleted(combat, options, userId) {
+        if (!isExecutor()) {
+            return;
+        }
+
+        const entries = this.getEntries(combat);
+        this.pending.delete(combat.id);
+        if (!entries.length) {
+            return;
+        }
+
+        const title = `Rune Automation Log: ${combat.scene?.name ?? "Combat"} (${new Date().toLocaleString()})`;
+        await createRuneCard({
+            title: "Combat Ended",
+            body: `<p>Rune automation recorded ${entries.length} entries over ${combat.round} rounds.</p>
+                    <button type="button" data-action="rune-export-log"><i class="fas fa-book"></i> Export to Journal</button>`,
+            whisper: game.users.filter(user => user.isGM).map(user => user.id),
+            flags: {
+                [MODULE_ID]: { combatLog: { title, entries } }
+            }
+        });
+    }
+
+    /**
+     * Called when a chat message is rendered
+     * Wires up the Export to Journal button for GMs
+     */
+    onRenderChatMessage(message, html) {
+        const element = html instanceof HTMLElement ? html : html[0];
+        const button = element?.querySelector("[data-action='rune-export-log']");
+        if (!button) {
+            return;
+        }
+
+        const combatLog = message.getFlag(MODULE_ID, "combatLog");
+        if (!game.user.isGM || !combatLog) {
+            button.remove();
+            return;
+        }
+
+        button.addEventListener("click", async (event) => {
+            event.preventDefault();
+            button.disabled = true;
+            const journal = await this.exportToJournal(combatLog.title, combatLog.entries);
+            journal?.sheet?.render(true);
+            button.disabled = false;
+        });
+    }
+
+    /**
+     * Create a journal entry with the log rendered as a table
+     */
+    async exportToJournal(title, entries) {
+        const rows = entries.map(entry => `
+            <tr>
+                <td>${entry.round ?? "—"}.${(entry.turn ?? 0) + 1}</td>
+                <td>${escapeHTML(entry.rune ?? "—")}</td>
+                <td>${EVENT_LABELS[entry.event] ?? escapeHTML(entry.event)}</td>
+                <td>${escapeHTML(entry.message)}</td>
+            </tr>`).join("");
+
+        const content = `<table>
+            <thead><tr><th>Round.Turn</th><th>Rune</th><th>Event</th><th>Details</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+
+        log(`Exporting ${entries.length} automation log entries to "${title}"`);
+        return JournalEntry.create({
+            name: title,
+            pages: [{ name: "Automation Log", type: "text", text: { content } }]
+        });
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * PF2E Property Runes - Configuration Menu
+ * Settings form for rune handler toggles, per-grade overrides and chat behaviour
+ */
+
+import { MODULE_ID, CHAT_VERBOSITY } from "./utils.js";
+
+// Labels for grade parameters shown in the menu
+const FIELD_LABELS = {
+    dc: "PF2E-PROPERTY-RUNES.CONFIG.FIELD_DC",
+    range: "PF2E-PROPERTY-RUNES.CONFIG.FIELD_RANGE",
+    minFrightened: "PF2E-PROPERTY-RUNES.CONFIG.FIELD_MIN_FRIGHTENED",
+    frightened: "PF2E-PROPERTY-RUNES.CONFIG.FIELD_FRIGHTENED",
+    resistance: "PF2E-PROPERTY-RUNES.CONFIG.FIELD_RESISTANCE",
+    targets: "PF2E-PROPERTY-RUNES.CONFIG.FIELD_TARGETS",
+    critRange: "PF2E-PROPERTY-RUNES.CONFIG.FIELD_CRIT_RANGE",
+    dice: "PF2E-PROPERTY-RUNES.CONFIG.FIELD_DICE",
+    enfeebled: "PF2E-PROPERTY-RUNES.CONFIG.FIELD_ENFEEBLED",
+    uses: "PF2E-PROPERTY-RUNES.CONFIG.FIELD_USES"
+};
+
+export class RuneConfigMenu extends FormApplication {
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: "pf2e-property-runes-config",
+            title: game.i18n.localize("PF2E-PROPERTY-RUNES.CONFIG.TITLE"),
+            template: `modules/${MODULE_ID}/templates/rune-config.hbs`,
+            classes: ["pf2e-property-runes-config"],
+            width: 560,
+            height: "auto",
+            closeOnSubmit: true
+        });
+    }
+
+    /**
+     * Get the rune registry
+     */
+    get registry() {
+        return game.modules.get(MODULE_ID).api.registry;
+    }
+
+    getData() {
+        const overrides = game.settings.get(MODULE_ID, "grade-overrides");
+        const aliases = game.settings.get(MODULE_ID, "rune-aliases");
+
+        const handlers = [...this.registry.handlers.values()].map(handler => ({
+            slug: handler.slug,
+            name: handler.name ?? handler.slug,
+            enableSetting: handler.enableSetting,
+            enabled: handler.isEnabled(),
+            // One "Rune Name = grade" per line
+            aliases: Object.entries(aliases?.[handler.slug] ?? {}).map(([alias, grade]) => `${alias} = ${grade}`).join("\n"),
+            aliasPlaceholder: `${handler.name ?? handler.slug} = ${Object.keys(handler.grades)[0] ?? ""}`,
+            grades: Object.entries(handler.grades).map(([grade, data]) => ({
+                key: grade,
+                name: data.name ?? grade,
+                fields: handler.configurableFields
+                    .filter(field => field in data)
+                    .map(field => ({
+                        key: field,
+                        label: FIELD_LABELS[field] ?? field,
+                        value: overrides?.[handler.slug]?.[grade]?.[field] ?? "",
+                        placeholder: data[field] ?? "—"
+                    }))
+            }))
+        }));
+
+        const verbosityChoices = Object.values(CHAT_VERBOSITY).map(value => ({
+            value,
+            label: `PF2E-PROPERTY-RUNES.SETTINGS.CHAT_VERBOSITY_${value.toUpperCase()}`,
+            selected: value === game.settings.get(MODULE_ID, "chat-verbosity")
+        }));
+
+        return {
+            handlers,
+            verbosityChoices,
+            wearersInCombat: game.settings.get(MODULE_ID, "wearers-in-combat")
+        };
+    }
+
+    async _updateObject(event, formData) {
+        const data = foundry.utils.expandObject(formData);
+
+        for (const handler of this.registry.handlers.values()) {
+            const enabled = data.handlers?.[handler.slug]?.enabled ?? false;
+            await game.settings.set(MODULE_ID, handler.enableSetting, enabled);
+        }
+
+        // Blank fields fall back to the rune's own value, and so do ones that are not a number
+        const overrides = {};
+        const invalid = [];
+        for (const [slug, grades] of Object.entries(data.grades ?? {})) {
+            for (const [grade, fields] of Object.entries(grades)) {
+                for (const [field, value] of Object.entries(fields)) {
+                    if (value === null || value === "") {
+                        continue;
+                    }
+                    if (Number.isNaN(Number(value))) {
+                        invalid.push(`${this.registry.get(slug)?.grades[grade]?.name ?? slug} ${field}`);
+                        continue;
+                    }
+                    foundry.utils.setProperty(overrides, `${slug}.${grade}.${field}`, Number(value));
+                }
+            }
+        }
+        await game.settings.set(MODULE_ID, "grade-overrides", overrides);
+        if (invalid.length) {
+            ui.notifications.warn(game.i18n.format("PF2E-PROPERTY-RUNES.CONFIG.INVALID_NUMBER", { fields: invalid.join(", ") }));
+        }
+
+        // A line without a grade, or with an unknown one, uses the rune's first grade
+        const aliases = {};
+        for (const handler of this.registry.handlers.values()) {
+            const lines = (data.handlers?.[handler.slug]?.aliases ?? "").split("\n");
+            for (const line of lines) {
+                const [alias, grade] = line.split("=").map(part => part.trim());
+                if (!alias) {
+                    continue;
+                }
+                const defaultGrade = Object.keys(handler.grades)[0];
+                // Names may contain dots, so they are not set as property paths
+                aliases[handler.slug] = { ...aliases[handler.slug], [alias]: grade in handler.grades ? grade : defaultGrade };
+            }
+        }
+        await game.settings.set(MODULE_ID, "rune-aliases", aliases);
+
+        await game.settings.set(MODULE_ID, "chat-verbosity", data.chatVerbosity);
+        await game.settings.set(MODULE_ID, "wearers-in-combat", !!data.wearersInCombat);
+    }
+}
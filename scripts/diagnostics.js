@@ -0,0 +1,85 @@
+/**
+ * PF2E Property Runes - Rune Diagnostics Window
+ * Shows why each rune would or would not act for the selected tokens
+ *
+ * Runs the same checks as the module API's explainTrigger() and lays the decision
+ * tree out per token and rune. GMs can refresh after moving tokens and force
+ * end of turn triggers from here.
+ */
+
+import { MODULE_ID } from "./utils.js";
+
+/**
+ * Flatten a decision tree into rows with their depth
+ */
+function flattenSteps(steps, depth = 0) {
+    return steps.flatMap(step => [
+        { label: step.label, passed: step.passed, detail: step.detail, depth },
+        ...flattenSteps(step.children ?? [], depth + 1)
+    ]);
+}
+
+export class RuneDiagnostics extends Application {
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: "pf2e-property-runes-diagnostics",
+            title: game.i18n.localize("PF2E-PROPERTY-RUNES.DIAGNOSTICS.TITLE"),
+            template: `modules/${MODULE_ID}/templates/rune-diagnostics.hbs`,
+            classes: ["pf2e-property-runes-diagnostics"],
+            width: 520,
+            height: 600,
+            resizable: true
+        });
+    }
+
+    /**
+     * Get the module API
+     */
+    get api() {
+        return game.modules.get(MODULE_ID).api;
+    }
+
+    getData() {
+        const tokens = (canvas.tokens?.controlled ?? []).map(token => token.document);
+
+        return {
+            tokens: tokens.map(token => ({
+                uuid: token.uuid,
+                name: token.name,
+                runes: this.api.explainTrigger(token).map(({ name, steps }) => ({
+                    name,
+                    // One failing alternative, e.g. a wearer out of range, does not fail the rune
+                    passed: steps.every(step => step.passed || step.alternative),
+                    rows: flattenSteps(steps)
+                }))
+            }))
+        };
+    }
+
+    activateListeners(html) {
+        super.activateListeners(html);
+        const element = html instanceof HTMLElement ? html : html[0];
+
+        element.querySelector("[data-action='refresh']")?.addEventListener("click", (event) => {
+            event.preventDefault();
+            this.render();
+        });
+
+        for (const button of element.querySelectorAll("[data-action='force-trigger']")) {
+            button.addEventListener("click", async (event) => {
+                event.preventDefault();
+                button.disabled = true;
+                await this.api.forceTrigger(fromUuidSync(button.dataset.tokenUuid));
+                this.render();
+            });
+        }
+    }
+
+    render(force, options) {
+        if (!game.user.isGM) {
+            ui.notifications.warn(game.i18n.localize("PF2E-PROPERTY-RUNES.DIAGNOSTICS.GM_ONLY"));
+            return this;
+        }
+        return super.render(force, options);
+    }
+}
@@ -0,0 +1,175 @@
+/**
+ * PF2E Property Runes - Distance Measurement
+ * Measures distance between tokens the way PF2E measures emanations
+ *
+ * Distance is taken from the closest edges of both tokens' footprints, in the
+ * scene's grid units, using the scene's diagonal rule (PF2E's alternating
+ * 5/10 by default). Gridless and hex scenes measure exact edge-to-edge
+ * distance. Elevation differences are measured as a third axis.
+ */
+
+import { getTokenCenter } from "./visibility.js";
+
+/**
+ * Get the diagonal rule for a scene, defaulting to PF2E's alternating 5/10
+ */
+function getDiagonalRule(scene) {
+    const diagonals = CONST.GRID_DIAGONALS;
+    if (!diagonals) {
+        return "alternating-1";
+    }
+
+    switch (scene.grid?.diagonals) {
+        case diagonals.EQUIDISTANT: return "equidistant";
+        case diagonals.EXACT:
+        case diagonals.APPROXIMATE: return "exact";
+        case diagonals.RECTILINEAR: return "rectilinear";
+        case diagonals.ALTERNATING_2: return "alternating-2";
+        default: return "alternating-1";
+    }
+}
+
+/**
+ * Combine two axis distances (in grid spaces) using a diagonal rule
+ */
+function combineAxes(a, b, rule) {
+    const long = Math.max(a, b);
+    const short = Math.min(a, b);
+
+    switch (rule) {
+        case "equidistant": return long;
+        case "exact": return Math.hypot(long, short);
+        case "rectilinear": return long + short;
+        case "alternating-2": return long + Math.ceil(short / 2);
+        default: return long + Math.floor(short / 2);
+    }
+}
+
+/**
+ * Get the distance between two spans, counted the way movement is counted:
+ * overlapping spans are 0 apart and touching spans are 1 apart
+ */
+function spanGap(startA, lengthA, startB, lengthB) {
+    const gap = Math.max(startB - (startA + lengthA), startA - (startB + lengthB));
+    return gap >= 0 ? gap + 1 : 0;
+}
+
+/**
+ * Get a token's vertical span in grid spaces
+ * Tokens are treated as being as tall as they are wide
+ */
+function getVerticalSpan(token, gridDistance) {
+    return [(token.elevation ?? 0) / gridDistance, Math.max(token.width, token.height)];
+}
+
+/**
+ * Get the distance between two tokens along each axis, in grid spaces
+ */
+function getAxisGaps(tokenA, tokenB, scene, snap) {
+    const size = scene.grid.size;
+    const gridDistance = scene.grid.distance;
+    const position = (value) => snap ? Math.round(value / size) : value / size;
+
+    const dx = spanGap(position(tokenA.x), tokenA.width, position(tokenB.x), tokenB.width);
+    const dy = spanGap(position(tokenA.y), tokenA.height, position(tokenB.y), tokenB.height);
+
+    const [aBottom, aHeight] = getVerticalSpan(tokenA, gridDistance);
+    const [bBottom, bHeight] = getVerticalSpan(tokenB, gridDistance);
+    const dz = snap
+        ? spanGap(Math.round(aBottom), aHeight, Math.round(bBottom), bHeight)
+        : spanGap(aBottom, aHeight, bBottom, bHeight);
+
+    return { dx, dy, dz };
+}
+
+/**
+ * Measure on a square grid by counting spaces between the tokens' footprints
+ */
+function measureSquareGrid(tokenA, tokenB, scene) {
+    const { dx, dy, dz } = getAxisGaps(tokenA, tokenB, scene, true);
+    const rule = getDiagonalRule(scene);
+    const spaces = combineAxes(combineAxes(dx, dy, rule), dz, rule);
+
+    return spaces * scene.grid.distance;
+}
+
+/**
+ * Measure exact edge-to-edge distance for gridless and hex scenes
+ */
+function measureGridless(tokenA, tokenB, scene) {
+    const { dx, dy, dz } = getAxisGaps(tokenA, tokenB, scene, false);
+    return Math.hypot(dx, dy, dz) * scene.grid.distance;
+}
+
+/**
+ * Measure the distance between two tokens in the scene's grid units (usually feet)
+ * Returns Infinity if the tokens are not on the same scene
+ */
+export function measureDistance(tokenA, tokenB) {
+    const scene = tokenA?.parent;
+    if (!scene || !tokenB || tokenB.parent !== scene) {
+        return Infinity;
+    }
+
+    if (scene.grid.type === CONST.GRID_TYPES.SQUARE) {
+        return measureSquareGrid(tokenA, tokenB, scene);
+    }
+
+    return measureGridless(tokenA, tokenB, scene);
+}
+
+/**
+ * Check if a wall blocks movement between two points on a scene
+ * Walls can only be tested on the scene currently drawn on the canvas
+ */
+function isMovementBlocked(scene, origin, destination) {
+    const backend = CONFIG.Canvas.polygonBackends?.move;
+    if (canvas.scene?.id !== scene.id || !backend?.testCollision) {
+        return false;
+    }
+    return backend.testCollision(origin, destination, { type: "move", mode: "any" });
+}
+
+/**
+ * Work out where a token ends up when pushed straight away from another token
+ * The token moves one grid space at a time and stops in front of the first wall
+ * Returns { x, y, moved, blocked } with the new top-left position and the distance moved
+ */
+export function getPushDestination(pusher, token, distance) {
+    const scene = token.parent;
+    const size = scene.grid.size;
+    const from = getTokenCenter(pusher);
+    const start = getTokenCenter(token);
+
+    const length = Math.hypot(start.x - from.x, start.y - from.y);
+    const direction = length
+        ? { x: (start.x - from.x) / length, y: (start.y - from.y) / length }
+        : { x: 0, y: 0 };
+
+    const snap = (value) => scene.grid.type === CONST.GRID_TYPES.GRIDLESS ? value : Math.round(value / size) * size;
+    const steps = Math.floor(distance / scene.grid.distance);
+
+    let position = { x: token.x, y: token.y };
+    let center = start;
+    let moved = 0;
+    let blocked = false;
+
+    for (let step = 1; step <= steps && length; step++) {
+        const next = {
+            x: snap(token.x + direction.x * size * step),
+            y: snap(token.y + direction.y * size * step)
+        };
+        const nextCenter = getTokenCenter({ ...token, x: next.x, y: next.y, parent: scene, width: token.width, height: token.height });
+
+        if (isMovementBlocked(scene, center, nextCenter)) {
+            blocked = true;
+            break;
+        }
+
+        position = next;
+        center = nextCenter;
+        moved = step * scene.grid.distance;
+    }
+
+    return { ...position, moved, blocked };
+}
@@ -7,63 +7,69 @@
  * Only one save is triggered per frightened creature per turn.
  */
 
-class DreadRuneAutomation {
+import { MODULE_ID, CHAT_VERBOSITY, shouldShowChat, createRuneCard } from "./utils.js";
+import { PropertyRuneHandler, RUNE_TRIGGERS } from "./rune-registry.js";
+import { canSee, getVisibilityMode } from "./visibility.js";
+import { measureDistance } from "./distance.js";
+import { areEnemies, getAlliance } from "./alliance.js";
+import { isExecutor } from "./socket.js";
+import { LOG_EVENTS } from "./combat-log.js";
+import { RUNE_SLOTS } from "./slots.js";
+import { RUNE_EFFECTS, EFFECT_DURATIONS, applyRuneEffect } from "./effects.js";
+
+export class DreadRuneAutomation extends PropertyRuneHandler {
     constructor() {
-        this.DREAD_RUNE_DISTANCE = 30; // 30 feet
-        this.DREAD_RUNE_DC = 20; // DC 20 Will save
-        this.DREAD_RUNE_NAME = "Dread Rune";
-        this.DREAD_RUNE_EFFECT = "dread-rune-effect";
-        
-        // Define specific rune types for proper detection
-        this.DREAD_RUNE_TYPES = {
-            "lesser": {
-                name: "Lesser Dread Rune",
-                dc: 20,
-                range: 30,
-                minFrightened: 1
+        super({
+            slug: "dread",
+            name: "Dread Rune",
+            itemType: "armor",
+            slots: [RUNE_SLOTS.ARMOR],
+            // Define specific rune types for proper detection
+            grades: {
+                "lesser": {
+                    name: "Lesser Dread Rune",
+                    dc: 20,
+                    range: 30,
+                    minFrightened: 1
+                },
+                "moderate": {
+                    name: "Moderate Dread Rune", 
+                    dc: 29,
+                    range: 30,
+                    minFrightened: 2
+                },
+                "greater": {
+                    name: "Greater Dread Rune",
+                    dc: 38,
+                    range: 30,
+                    minFrightened: null // No decrease at any level
+                }
             },
-            "moderate": {
-                name: "Moderate Dread Rune", 
-                dc: 29,
-                range: 30,
-                minFrightened: 2
+            // PF2E has used both "dread" and "lesserDread" for the lesser rune
+            runeSlugs: {
+                dread: "lesser",
+                lesserDread: "lesser",
+                moderateDread: "moderate",
+                greaterDread: "greater"
             },
-            "greater": {
-                name: "Greater Dread Rune",
-                dc: 38,
-                range: 30,
-                minFrightened: null // No decrease at any level
-            }
-        };
-        
-        // Define traits that indicate ally/enemy status
-        this.ALLY_TRAITS = [
-            "ally", "friendly", "helpful", "beneficial", "construct", "companion",
-            "familiar", "pet", "mount", "steed", "guardian", "protector"
-        ];
-        
-        this.ENEMY_TRAITS = [
-            "enemy", "hostile", "harmful", "dangerous", "evil", "chaotic",
-            "aggressive", "violent", "destructive"
-        ];
-        
-        this.initializeHooks();
-        this.initializeSettings();
-        
+            triggers: [RUNE_TRIGGERS.END_OF_TURN],
+            configurableFields: ["dc", "range", "minFrightened"],
+            enableSetting: "enable-dread-rune",
+            emanation: true
+        });
+
+        // "combatId.combatantId" → frightened value before PF2E's end of turn decrement
+        this.frightenedSnapshots = new Map();
+
         // Log to verify module is loading (only shows in debug mode)
         this.log("DreadRuneAutomation constructor called");
     }
 
     /**
      * Initialize FoundryVTT hooks for the module
+     * The end of turn trigger is routed through the rune registry
      */
     initializeHooks() {
-
-        
-        // Hook into the end of turn to check for Dread Rune effects
-        Hooks.on("pf2e.endTurn", this.onEndTurn.bind(this));
-
-        
         // Hook into combat tracker updates to track turn changes
         Hooks.on("updateCombat", this.onCombatUpdate.bind(this));
 
@@ -72,10 +78,6 @@ class DreadRuneAutomation {
         Hooks.on("updateActor", this.onActorUpdate.bind(this));
 
         
-        // Module initialization
-        Hooks.on("ready", this.onReady.bind(this));
-
-        
         // Add additional hooks for better debugging
         Hooks.on("createCombatant", this.onCombatantCreated.bind(this));
 
@@ -83,7 +85,15 @@ class DreadRuneAutomation {
         Hooks.on("deleteCombatant", this.onCombatantDeleted.bind(this));
 
         
+        // Watch saving throw results for pending Dread Rune saves
+        Hooks.on("createChatMessage", this.onSaveMessage.bind(this));
 
+        
+        // Remember frightened values from before the end of turn decrement
+        Hooks.on("preUpdateItem", this.onPreUpdateCondition.bind(this));
+        Hooks.on("preDeleteItem", this.onPreDeleteCondition.bind(this));
+        Hooks.on("updateItem", this.onConditionUpdated.bind(this));
+        Hooks.on("deleteItem", this.onConditionDeleted.bind(this));
     }
 
     /**
@@ -93,11 +103,11 @@ class DreadRuneAutomation {
         this.log("Initializing settings");
         
         // Register module settings
-        game.settings.register("pf2e-property-runes", "enable-dread-rune", {
+        game.settings.register(MODULE_ID, "enable-dread-rune", {
             name: "Enable Dread Rune Automation",
             hint: "Automatically trigger Dread Rune effects when frightened enemies end their turn within range",
             scope: "world",
-            config: true,
+            config: false, // Toggled from the rune configuration menu
             type: Boolean,
             default: true,
             onChange: (value) => {
@@ -108,218 +118,35 @@ class DreadRuneAutomation {
         // Note: DC and range are now dynamically determined from each character's specific rune type
         // The DC is properly owned by the character with the rune, not affected by the frightened creature's condition
 
-        game.settings.register("pf2e-property-runes", "show-chat-messages", {
-            name: "Show Chat Messages",
-            hint: "Display chat messages when Dread Rune effects are triggered",
-            scope: "world",
-            config: true,
-            type: Boolean,
-            default: true,
-            onChange: (value) => {
-                this.log(`Chat messages ${value ? 'enabled' : 'disabled'}`);
-            }
-        });
-
-
-
-        game.settings.register("pf2e-property-runes", "debug-mode", {
-            name: "Debug Mode",
-            hint: "Enable detailed console logging for troubleshooting",
+        game.settings.register(MODULE_ID, "auto-roll-saves", {
+            name: "PF2E-PROPERTY-RUNES.SETTINGS.AUTO_ROLL_SAVES",
+            hint: "PF2E-PROPERTY-RUNES.SETTINGS.AUTO_ROLL_SAVES_HINT",
             scope: "world",
             config: true,
-            type: Boolean,
-            default: true, // Changed to true by default for debugging
+            type: String,
+            choices: {
+                "link": "PF2E-PROPERTY-RUNES.SETTINGS.AUTO_ROLL_SAVES_LINK",
+                "auto": "PF2E-PROPERTY-RUNES.SETTINGS.AUTO_ROLL_SAVES_AUTO",
+                "prompt": "PF2E-PROPERTY-RUNES.SETTINGS.AUTO_ROLL_SAVES_PROMPT"
+            },
+            default: "link",
             onChange: (value) => {
-                this.log(`Debug mode ${value ? 'enabled' : 'disabled'}`);
+                this.log(`Dread Rune save mode set to ${value}`);
             }
         });
-
-
-    }
-
-    /**
-     * Log messages with debug mode support
-     */
-    log(message, data = null) {
-        try {
-            const debugMode = game.settings.get("pf2e-property-runes", "debug-mode");
-            if (debugMode) {
-                console.log(`[PF2E Property Runes] ${message}`, data);
-            }
-        } catch (error) {
-            // Settings not registered yet, just use console.log
-            console.log(`[PF2E Property Runes] ${message}`, data);
-        }
     }
 
     /**
      * Called when the module is ready
      */
     onReady() {
-        this.setupDreadRuneEffect();
-        
-        // Display welcome message
-        if (game.settings.get("pf2e-property-runes", "show-chat-messages")) {
+        // Display welcome message once, from the client that runs automation
+        if (isExecutor() && shouldShowChat(CHAT_VERBOSITY.FULL)) {
             this.showWelcomeMessage();
         }
         
         // Test rune detection
         this.testRuneDetection();
-        
-        // Add global debug functions for testing
-        window.debugDreadRuneFrightened = (actorId) => {
-            const actor = game.actors.get(actorId);
-            if (actor) {
-                this.debugFrightenedCondition(actor);
-            } else {
-                console.error(`Actor with ID ${actorId} not found`);
-            }
-        };
-        
-        window.debugDreadRuneAllyCheck = (actorId) => {
-            const actor = game.actors.get(actorId);
-            if (actor) {
-                this.log(`=== DEBUGGING ALLY CHECK FOR ${actor.name} ===`);
-                const isAlly = this.isActorAnAlly(actor);
-                this.log(`Final result: ${actor.name} is ${isAlly ? 'an ALLY' : 'an ENEMY'}`);
-                this.log(`This means Dread Rune will ${isAlly ? 'NOT affect' : 'affect'} ${actor.name}`);
-            } else {
-                console.error(`Actor with ID ${actorId} not found`);
-            }
-        };
-        
-        window.debugDreadRuneAlliance = (actorId1, actorId2) => {
-            const actor1 = game.actors.get(actorId1);
-            const actor2 = game.actors.get(actorId2);
-            if (actor1 && actor2) {
-                this.log(`=== DEBUGGING ALLIANCE BETWEEN ${actor1.name} AND ${actor2.name} ===`);
-                const alliance1 = this.getActorAlliance(actor1);
-                const alliance2 = this.getActorAlliance(actor2);
-                const isEnemy = this.isActorEnemyOf(actor1, actor2);
-                this.log(`${actor1.name} alliance: ${alliance1}`);
-                this.log(`${actor2.name} alliance: ${alliance2}`);
-                this.log(`Final result: ${actor1.name} and ${actor2.name} are ${isEnemy ? 'ENEMIES' : 'ALLIES'}`);
-                this.log(`This means Dread Rune will ${isEnemy ? 'affect' : 'NOT affect'} ${actor1.name} if they are frightened`);
-            } else {
-                console.error(`One or both actors not found`);
-            }
-        };
-        
-        window.debugDreadRuneRequirements = (actorId) => {
-            const actor = game.actors.get(actorId);
-            if (actor) {
-                this.log(`=== DEBUGGING DREAD RUNE REQUIREMENTS FOR ${actor.name} ===`);
-                
-                // Check if they have frightened condition
-                const frightenedCondition = this.findFrightenedCondition(actor);
-                if (!frightenedCondition) {
-                    this.log(`❌ ${actor.name} does not have frightened condition`);
-                    return;
-                }
-                
-                const frightenedValue = frightenedCondition.value || 1;
-                this.log(`✅ ${actor.name} has frightened ${frightenedValue}`);
-                
-                // Check if they meet rune requirements
-                const meetsRequirements = this.doesFrightenedLevelMeetRuneRequirements(actor, frightenedValue);
-                this.log(`Final result: ${actor.name} frightened ${frightenedValue} ${meetsRequirements ? 'MEETS' : 'does NOT meet'} Dread Rune requirements`);
-                
-                if (meetsRequirements) {
-                    this.log(`This means Dread Rune WILL trigger for ${actor.name}`);
-                } else {
-                    this.log(`This means Dread Rune will NOT trigger for ${actor.name} (frightened level too low)`);
-                }
-            } else {
-                console.error(`Actor with ID ${actorId} not found`);
-            }
-        };
-        
-        window.debugActorWillSave = (actorId) => {
-            const actor = game.actors.get(actorId);
-            if (actor) {
-                this.log(`=== DEBUGGING WILL SAVE DATA FOR ${actor.name} ===`);
-                
-                // Log the actor's system structure
-                this.log(`Actor system keys: ${Object.keys(actor.system || {}).join(', ')}`);
-                
-                if (actor.system?.saves) {
-                    this.log(`Saves keys: ${Object.keys(actor.system.saves).join(', ')}`);
-                    
-                    if (actor.system.saves.will) {
-                        this.log(`Will save data:`, actor.system.saves.will);
-                        this.log(`Will save keys: ${Object.keys(actor.system.saves.will).join(', ')}`);
-                        
-                        // Check specific properties
-                        if (actor.system.saves.will.value !== undefined) {
-                            this.log(`Will save value: ${actor.system.saves.will.value}`);
-                        }
-                        if (actor.system.saves.will.mod !== undefined) {
-                            this.log(`Will save mod: ${actor.system.saves.will.mod}`);
-                        }
-                        if (actor.system.saves.will.total !== undefined) {
-                            this.log(`Will save total: ${actor.system.saves.will.total}`);
-                        }
-                        if (actor.system.saves.will.rank !== undefined) {
-                            this.log(`Will save rank: ${actor.system.saves.will.rank}`);
-                        }
-                    } else {
-                        this.log(`No will save data found`);
-                    }
-                } else {
-                    this.log(`No saves data found`);
-                }
-                
-                // Also check for alternative save structures
-                if (actor.system?.attributes?.saves) {
-                    this.log(`Alternative saves location found in attributes.saves`);
-                    this.log(`Attributes saves keys: ${Object.keys(actor.system.attributes.saves).join(', ')}`);
-                    
-                    if (actor.system.attributes.saves.will) {
-                        this.log(`Will save in attributes:`, actor.system.attributes.saves.will);
-                    }
-                }
-                
-            } else {
-                console.error(`Actor with ID ${actorId} not found`);
-            }
-        };
-        
-        window.debugDreadRuneHighestDC = (frightenedActorId) => {
-            const actor = game.actors.get(frightenedActorId);
-            if (actor) {
-                this.log(`=== DEBUGGING HIGHEST DC DREAD RUNE FOR ${actor.name} ===`);
-                
-                // Get all affecting actors
-                const allAffecting = this.getAllDreadRuneActorsAffecting(actor);
-                this.log(`Total Dread Rune actors affecting ${actor.name}: ${allAffecting.length}`);
-                
-                for (const affectingActor of allAffecting) {
-                    const runeData = this.getDreadRuneData(affectingActor);
-                    const distance = this.getDistanceBetween(actor, affectingActor);
-                    this.log(`${affectingActor.name}: ${runeData.name} (DC ${runeData.dc}) at ${distance.toFixed(1)} feet`);
-                }
-                
-                // Get the highest DC actor
-                const highestDCActor = this.getDreadRuneActorAffecting(actor);
-                if (highestDCActor) {
-                    const runeData = this.getDreadRuneData(highestDCActor);
-                    this.log(`🎯 Highest DC actor: ${highestDCActor.name} with ${runeData.name} (DC ${runeData.dc})`);
-                } else {
-                    this.log(`❌ No Dread Rune actor affecting ${actor.name}`);
-                }
-                
-            } else {
-                console.error(`Actor with ID ${frightenedActorId} not found`);
-            }
-        };
-        
-        this.log("Global debug functions available:");
-        this.log("  - debugDreadRuneFrightened(actorId) - debug frightened condition detection");
-        this.log("  - debugDreadRuneAllyCheck(actorId) - debug ally/enemy detection");
-        this.log("  - debugDreadRuneAlliance(actorId1, actorId2) - debug alliance between two actors");
-        this.log("  - debugDreadRuneRequirements(actorId) - debug frightened level requirements");
-        this.log("  - debugActorWillSave(actorId) - debug actor's Will save data structure");
-        this.log("  - debugDreadRuneHighestDC(actorId) - debug highest DC Dread Rune detection");
     }
 
     /**
@@ -337,66 +164,35 @@ class DreadRuneAutomation {
      * Show welcome message
      */
     async showWelcomeMessage() {
-        const message = await ChatMessage.create({
-            user: game.user.id,
-            content: `<div class="dread-rune-effect">
-                <div class="dread-rune-header">
-                    <img src="systems/pf2e/icons/equipment/runes/armor-property-runes/armor-property-runes.webp" width="20" height="20">
-                    <strong>PF2E Property Runes Module Loaded</strong>
-                </div>
-                <p>Dread Rune automation is now active! Check the module settings to configure options.</p>
-                <p><strong>Debug Mode:</strong> ${game.settings.get("pf2e-property-runes", "debug-mode") ? 'ON' : 'OFF'}</p>
-            </div>`,
-            style: CONST.CHAT_MESSAGE_STYLES.OTHER
+        await createRuneCard({
+            title: "PF2E Property Runes Module Loaded",
+            body: `<p>Dread Rune automation is now active! Check the module settings to configure options.</p>
+                <p><strong>Debug Mode:</strong> ${game.settings.get(MODULE_ID, "debug-mode") ? 'ON' : 'OFF'}</p>`
         });
     }
 
     /**
-     * Set up the Dread Rune effect in the system
+     * Called by the rune registry when a turn ends in combat
      */
-    setupDreadRuneEffect() {
-        // Register the Dread Rune effect if it doesn't exist
-        if (!game.pf2e.effects.registered.has(this.DREAD_RUNE_EFFECT)) {
-            const dreadRuneEffect = {
-                id: this.DREAD_RUNE_EFFECT,
-                name: this.DREAD_RUNE_NAME,
-                description: "Eerie symbols cover your armor, inspiring terror in your foes. Frightened enemies within 30 feet that can see you must attempt a Will save at the end of their turn; on a failure, the value of their frightened condition doesn't decrease below the minimum for your rune type (Lesser: 1, Moderate: 2, Greater: no decrease).",
-                img: "systems/pf2e/icons/equipment/runes/armor-property-runes/armor-property-runes.webp",
-                system: {
-                    rules: [],
-                    tokenIcon: {
-                        show: true
-                    },
-                    level: {
-                        value: 1
-                    }
-                }
-            };
-            
-            // Add to the effects registry
-            game.pf2e.effects.registered.set(this.DREAD_RUNE_EFFECT, dreadRuneEffect);
-        }
-    }
-
-    /**
-     * Called when a turn ends in combat
-     */
-    async onEndTurn(combatant, combat) {
-        if (!combat || !combatant || !combatant.actor) {
-            return;
-        }
+    async resolve({ token, combat, combatant }) {
+        // Range checks use the combat's scene, which need not be the active one
+        const scene = combat?.scene ?? token?.parent;
         
-        const actor = combatant.actor;
-        
-        // Check if automation is enabled
-        if (!game.settings.get("pf2e-property-runes", "enable-dread-rune")) {
+        if (!token?.actor || !scene) {
             return;
         }
-        
-        // Check if this actor should be affected by Dread Rune
-        if (this.shouldCheckDreadRune(actor)) {
-            await this.processDreadRuneEffect(actor);
+
+        // PF2E has already lowered frightened by the time the turn's end is reported
+        const frightenedValue = this.getTurnFrightenedValue(combat, combatant, token.actor);
+
+        // Check if this token should be affected by Dread Rune
+        const reason = this.getRejectionReason(token, scene, frightenedValue);
+        if (reason) {
+            this.record(combat, LOG_EVENTS.REJECTED, `${token.name}: ${reason}`);
+            return;
         }
+
+        await this.processDreadRuneEffect(token, scene, combat, frightenedValue);
     }
 
     /**
@@ -404,6 +200,26 @@ class DreadRuneAutomation {
      */
     onCombatUpdate(combat, change, options, userId) {
         // This hook helps us track when turns change
+        if (!isExecutor() || !("turn" in change || "round" in change)) {
+            return;
+        }
+
+        // A snapshot left over from an earlier turn no longer applies
+        if (combat.combatant) {
+            this.frightenedSnapshots.delete(`${combat.id}.${combat.combatant.id}`);
+        }
+
+        for (const combatant of combat.combatants) {
+            const actor = combatant.actor;
+            if (!actor) {
+                continue;
+            }
+
+            // A save nobody rolled is stale once the creature's next turn starts
+            if (combatant === combat.combatant && actor.getFlag(MODULE_ID, "dreadSave")) {
+                actor.unsetFlag(MODULE_ID, "dreadSave");
+            }
+        }
     }
 
     /**
@@ -430,6 +246,28 @@ class DreadRuneAutomation {
         // Hook for future use
     }
 
+    /**
+     * Get an actor's current frightened value, 0 if it is not frightened
+     */
+    getFrightenedValue(actor) {
+        const frightenedCondition = this.findFrightenedCondition(actor);
+        return frightenedCondition ? (frightenedCondition.value || 1) : 0;
+    }
+
+    /**
+     * Get the frightened value a combatant ended its turn with
+     * Uses the snapshot taken before PF2E's end of turn decrement, or the current value if there was none
+     */
+    getTurnFrightenedValue(combat, combatant, actor) {
+        const key = `${combat?.id}.${combatant?.id}`;
+        if (this.frightenedSnapshots.has(key)) {
+            const value = this.frightenedSnapshots.get(key);
+            this.frightenedSnapshots.delete(key);
+            return value;
+        }
+        return this.getFrightenedValue(actor);
+    }
+
     /**
      * Find the frightened condition on an actor using multiple detection methods
      */
@@ -573,201 +411,180 @@ class DreadRuneAutomation {
     }
 
     /**
-     * Check if an actor should be affected by Dread Rune
+     * Check if a token should be affected by Dread Rune
      */
-    shouldCheckDreadRune(actor) {
-        // Must be an enemy (different alliance than the character with the rune)
-        // Find the character with Dread Rune armor who would affect this actor
-        const dreadRuneActor = this.getDreadRuneActorAffecting(actor);
-        if (!dreadRuneActor) {
-            return false;
-        }
-        
-        // Check if the frightened actor has a different alliance than the character with the rune
-        const isEnemy = this.isActorEnemyOf(actor, dreadRuneActor);
-        if (!isEnemy) {
-            return false;
+    shouldCheckDreadRune(token, scene) {
+        return this.getRejectionReason(token, scene) === null;
+    }
+
+    /**
+     * Explain why a token is not affected by Dread Rune, or null if it is
+     * The checks run in the same order the rune's requirements are read
+     */
+    getRejectionReason(token, scene, frightenedValue = this.getFrightenedValue(token.actor)) {
+        const wearerTokens = this.getRuneTokens(scene);
+        if (wearerTokens.length === 0) {
+            return "no Dread Rune wearers on the scene";
         }
-        
-        // Must have the frightened condition
-        // Use the comprehensive condition detection method
-        const frightenedCondition = this.findFrightenedCondition(actor);
-        
-        if (!frightenedCondition) {
-            return false;
+
+        // Must have been frightened when the turn ended
+        if (frightenedValue < 1) {
+            return "not frightened";
         }
-        
-        const frightenedValue = frightenedCondition.value || 1;
-        
-        // Check if the frightened level meets the minimum requirement for the Dread Rune type
-        const meetsRuneRequirements = this.doesFrightenedLevelMeetRuneRequirements(actor, frightenedValue);
-        if (!meetsRuneRequirements) {
-            return false;
+
+        // Any wearer that passes every check is enough
+        if (!this.getDreadRuneTokenAffecting(token, scene, frightenedValue)) {
+            return wearerTokens.map(wearer => this.getWearerRejection(token, wearer, frightenedValue)).join("; ");
         }
-        
-        // Must be within range of someone with Dread Rune armor
-        const withinRange = this.isWithinDreadRuneRange(actor);
-        
-        return withinRange;
+
+        return null;
     }
 
     /**
-     * Check if the frightened level meets the requirements for the Dread Rune type
+     * Explain why a single Dread Rune wearer does not affect a frightened token, or null if it does
      */
-    doesFrightenedLevelMeetRuneRequirements(frightenedActor, frightenedValue) {
-        // Find the character with Dread Rune armor who would affect this actor
-        const dreadRuneActor = this.getDreadRuneActorAffecting(frightenedActor);
-        if (!dreadRuneActor) {
-            return false;
-        }
-        
-        // Get the rune data for the character's armor
-        const runeData = this.getDreadRuneData(dreadRuneActor);
+    getWearerRejection(frightenedToken, wearerToken, frightenedValue) {
+        const runeData = this.getRuneData(wearerToken.actor);
         if (!runeData) {
-            return false;
+            return `no rune data for ${wearerToken.name}`;
         }
-        
-        // Check the frightened level requirements based on rune type
-        if (runeData.minFrightened === null) {
-            // Greater Dread Rune: activates at any frightened level
-            return true;
-        } else {
-            // Lesser/Moderate Dread Rune: only activates at or above the minimum frightened level
-            return frightenedValue >= runeData.minFrightened;
+
+        const distance = this.getDistanceBetween(frightenedToken, wearerToken);
+        if (distance > runeData.range) {
+            return `${wearerToken.name} out of range (${distance} ft > ${runeData.range} ft)`;
+        }
+
+        if (!this.canSeeWearer(frightenedToken, wearerToken)) {
+            return `cannot see ${wearerToken.name}`;
+        }
+
+        // Must be an enemy (different alliance than the character with the rune)
+        if (!this.isTokenEnemyOf(frightenedToken, wearerToken)) {
+            return `not an enemy of ${wearerToken.name} (${this.getTokenAlliance(frightenedToken)})`;
         }
+
+        // Lesser and moderate runes only act at or above their minimum; greater runes act at any value
+        if (runeData.minFrightened !== null && frightenedValue < runeData.minFrightened) {
+            return `frightened ${frightenedValue} is below ${wearerToken.name}'s ${runeData.name} minimum of ${runeData.minFrightened}`;
+        }
+
+        return null;
     }
 
     /**
-     * Check if an actor is an enemy of another actor based on alliance
+     * Build the decision tree for a token ending its turn near Dread Rune wearers
+     * Every wearer on the scene is listed with the checks it passed or failed, as alternatives
+     * the Result step weighs up, since one wearer in range is enough
      */
-    isActorEnemyOf(actor1, actor2) {
-        // Get the alliance of both actors
-        const alliance1 = this.getActorAlliance(actor1);
-        const alliance2 = this.getActorAlliance(actor2);
-        
-        // If alliances are different, they are enemies
-        if (alliance1 !== alliance2) {
-            this.log(`✅ ${actor1.name} and ${actor2.name} have different alliances - they are enemies`);
-            return true;
-        } else {
-            this.log(`❌ ${actor1.name} and ${actor2.name} have the same alliance - they are allies`);
-            return false;
-        }
+    explain(token, scene = token.parent) {
+        const frightenedValue = this.findFrightenedCondition(token.actor)?.value ?? 0;
+        const steps = [{
+            label: "Automation enabled",
+            passed: this.isEnabled(),
+            detail: this.enableSetting
+        }, {
+            label: "Frightened",
+            passed: frightenedValue > 0,
+            detail: frightenedValue > 0 ? `frightened ${frightenedValue}` : "not frightened"
+        }];
+
+        for (const wearerToken of this.getRuneTokens(scene)) {
+            const runeData = this.getRuneData(wearerToken.actor);
+            const distance = this.getDistanceBetween(token, wearerToken);
+            const minimum = runeData?.minFrightened ?? 0;
+            const checks = [
+                {
+                    label: "Enemy",
+                    passed: areEnemies(this.getTokenAlliance(wearerToken), this.getTokenAlliance(token)),
+                    detail: `${this.getTokenAlliance(token)} vs ${this.getTokenAlliance(wearerToken)}`
+                },
+                {
+                    label: "In range",
+                    passed: distance <= (runeData?.range ?? 0),
+                    detail: `${distance} ft of ${runeData?.range ?? 0} ft`
+                },
+                {
+                    label: "Can see wearer",
+                    passed: this.canSeeWearer(token, wearerToken),
+                    detail: getVisibilityMode()
+                },
+                {
+                    label: "Frightened minimum",
+                    passed: frightenedValue > 0 && frightenedValue >= minimum,
+                    detail: runeData?.minFrightened === null ? "any value" : `at least ${minimum}`
+                }
+            ];
+
+            steps.push({
+                label: `Wearer: ${wearerToken.name}`,
+                passed: checks.every(check => check.passed),
+                detail: runeData ? `${runeData.name}, DC ${runeData.dc}` : "no rune data",
+                children: checks,
+                alternative: true
+            });
+        }
+
+        const reason = this.getRejectionReason(token, scene);
+        const wearerToken = reason ? null : this.getDreadRuneTokenAffecting(token, scene, frightenedValue);
+        steps.push({
+            label: "Result",
+            passed: !reason,
+            detail: reason ?? `Will save against ${wearerToken.name}'s ${this.getRuneData(wearerToken.actor)?.name} (DC ${this.getRuneData(wearerToken.actor)?.dc})`
+        });
+
+        return steps;
     }
 
     /**
-     * Get the alliance of an actor
+     * Check if a token is an enemy of another token based on alliance
+     * Neutral creatures are never enemies
      */
-    getActorAlliance(actor) {
-        // Check actor type and traits to determine alliance
-        if (actor.type === "character") {
-            // Player characters are always in the "party" alliance
-            return "party";
-        } else if (actor.type === "npc") {
-            // NPCs can be allies or enemies based on traits
-            if (this.isActorAnAlly(actor)) {
-                return "party";
-            } else {
-                return "enemy";
-            }
+    isTokenEnemyOf(token1, token2) {
+        // Get the alliance of both tokens
+        const alliance1 = this.getTokenAlliance(token1);
+        const alliance2 = this.getTokenAlliance(token2);
+        
+        if (areEnemies(alliance1, alliance2)) {
+            this.log(`✅ ${token1.name} (${alliance1}) and ${token2.name} (${alliance2}) are enemies`);
+            return true;
         } else {
-            // Unknown actor type, default to enemy
-            return "enemy";
+            this.log(`❌ ${token1.name} (${alliance1}) and ${token2.name} (${alliance2}) are not enemies`);
+            return false;
         }
     }
 
     /**
-     * Check if an actor is an ally (should not be affected by Dread Rune)
+     * Get the alliance of a token
      */
-    isActorAnAlly(actor) {
-        // Check if the actor has any ally traits
-        if (actor.system?.traits?.value) {
-            const actorTraits = actor.system.traits.value.map(t => t.toLowerCase());
-            
-            // Check for ally traits first (these override other considerations)
-            for (const trait of actorTraits) {
-                if (this.ALLY_TRAITS.includes(trait)) {
-                    return true;
-                }
-            }
-            
-            // Check for enemy traits (these override other considerations)
-            for (const trait of actorTraits) {
-                if (this.ENEMY_TRAITS.includes(trait)) {
-                    return false;
-                }
-            }
-        }
-        
-        // Method 1: Check if the actor has the "construct" trait and is likely a companion
-        if (actor.system?.traits?.value && actor.system.traits.value.includes("construct")) {
-            // Check if it's likely a companion construct (like a construct companion)
-            if (actor.name.toLowerCase().includes("companion") || 
-                actor.name.toLowerCase().includes("construct") ||
-                actor.name.toLowerCase().includes("golem")) {
-                return true;
-            }
-        }
-        
-        // Method 2: Check if the actor has a name that suggests it's an ally
-        const allyNameIndicators = [
-            "companion", "ally", "friend", "helper", "assistant", "familiar", 
-            "pet", "mount", "steed", "guardian", "protector", "escort"
-        ];
-        
-        const actorNameLower = actor.name.toLowerCase();
-        for (const indicator of allyNameIndicators) {
-            if (actorNameLower.includes(indicator)) {
-                return true;
-            }
-        }
-        
-        // Method 3: Check alignment-based heuristics (only if no other traits are found)
-        if (actor.system?.traits?.value) {
-            const actorTraits = actor.system.traits.value.map(t => t.toLowerCase());
-            
-            // Good and lawful alignments are more likely to be allies
-            if (actorTraits.includes("good") || actorTraits.includes("lawful")) {
-                return true;
-            }
-            
-            // Evil and chaotic alignments are more likely to be enemies
-            if (actorTraits.includes("evil") || actorTraits.includes("chaotic")) {
-                return false;
-            }
-        }
-        
-        // Default: If we can't determine, assume it's an enemy (safer for Dread Rune)
-        // This means the rune will trigger, which is the intended behavior for unknown NPCs
-        return false;
+    getTokenAlliance(token) {
+        return getAlliance(token.actor, token);
     }
 
     /**
-     * Check if an actor is within range of someone with Dread Rune armor
+     * Check if a token is within range of someone with Dread Rune armor
      */
-    isWithinDreadRuneRange(actor) {
-        const scene = game.scenes.active;
+    isWithinDreadRuneRange(token, scene = token.parent) {
         if (!scene) {
             return false;
         }
 
-        // Get all actors with Dread Rune armor in the scene
-        const dreadRuneActors = this.getDreadRuneActors(scene);
+        // Get all tokens with Dread Rune armor in the scene
+        const wearerTokens = this.getRuneTokens(scene);
         
-        if (dreadRuneActors.length === 0) {
+        if (wearerTokens.length === 0) {
             return false;
         }
         
-        for (const dreadRuneActor of dreadRuneActors) {
-            const distance = this.getDistanceBetween(actor, dreadRuneActor);
+        for (const wearerToken of wearerTokens) {
+            const distance = this.getDistanceBetween(token, wearerToken);
             
-            // Get the specific rune data for this actor's armor to check range
-            const runeData = this.getDreadRuneData(dreadRuneActor);
+            // Get the specific rune data for this wearer's armor to check range
+            const runeData = this.getRuneData(wearerToken.actor);
             if (!runeData) {
                 continue;
             }
             
-            if (distance <= runeData.range) {
+            if (distance <= runeData.range && this.canSeeWearer(token, wearerToken)) {
                 return true;
             }
         }
@@ -776,138 +593,108 @@ class DreadRuneAutomation {
     }
 
     /**
-     * Get all actors in the scene with Dread Rune armor
+     * Get the frightened enemies a wearer's Dread Rune currently reaches
+     * These are ringed on the aura layer
      */
-    getDreadRuneActors(scene) {
-        const dreadRuneActors = [];
-        
-        for (const token of scene.tokens) {
-            if (token.actor && this.hasDreadRuneArmor(token.actor)) {
-                dreadRuneActors.push(token.actor);
+    getAuraHighlights(wearerToken, runeData) {
+        const wearerAlliance = this.getTokenAlliance(wearerToken);
+
+        return wearerToken.parent.tokens.filter(token => {
+            if (token === wearerToken || !token.actor) {
+                return false;
             }
-        }
-        
-        return dreadRuneActors;
+
+            const frightened = token.actor.getCondition?.("frightened")?.value ?? 0;
+            return frightened > 0
+                && areEnemies(wearerAlliance, this.getTokenAlliance(token))
+                && this.getDistanceBetween(token, wearerToken) <= runeData.range
+                && this.canSeeWearer(token, wearerToken);
+        });
     }
 
     /**
-     * Check if an actor has Dread Rune armor equipped
+     * Check if a frightened token can see the Dread Rune wearer
+     * The rune only affects creatures "that can see you"
      */
-    hasDreadRuneArmor(actor) {
-        // Check equipped armor for Dread Rune
-        const equippedArmor = actor.itemTypes.armor.find(armor => 
-            armor.isEquipped
-        );
-        
-        if (!equippedArmor) {
-            return false;
-        }
-        
-        // Check for property runes
-        if (equippedArmor.system.runes?.property) {
-            for (const rune of equippedArmor.system.runes.property) {
-                // Handle both string and object rune formats
-                let runeName = '';
-                if (typeof rune === 'string') {
-                    runeName = rune;
-                } else if (rune && typeof rune === 'object') {
-                    runeName = rune.name || rune.slug || '';
-                }
-                
-                if (runeName.toLowerCase().includes('dread')) {
-                    return true;
-                }
-            }
-        }
-        
-        // Fallback: Check for legacy text-based detection
-        if (equippedArmor.system.runes?.property) {
-            for (const rune of equippedArmor.system.runes.property) {
-                if (typeof rune === 'string' && rune.toLowerCase().includes('dread')) {
-                    return true;
-                }
-            }
-        }
-        
-        return false;
+    canSeeWearer(frightenedToken, wearerToken) {
+        return canSee(frightenedToken, wearerToken, { mode: getVisibilityMode() });
     }
 
     /**
-     * Calculate distance between two actors in feet
+     * Calculate distance between two tokens in feet
+     * Measured edge to edge with PF2E's grid and diagonal rules
      */
-    getDistanceBetween(actor1, actor2) {
-        const scene = game.scenes.active;
-        if (!scene) return Infinity;
-
-        const token1 = scene.tokens.find(t => t.actor?.id === actor1.id);
-        const token2 = scene.tokens.find(t => t.actor?.id === actor2.id);
-        
-        if (!token1 || !token2) return Infinity;
-
-        // Get token positions
-        const pos1 = token1.center;
-        const pos2 = token2.center;
-        
-        // Calculate distance in grid units
-        const distance = Math.sqrt(
-            Math.pow(pos2.x - pos1.x, 2) + 
-            Math.pow(pos2.y - pos1.y, 2)
-        );
-        
-        // Convert to feet (assuming 5-foot grid)
-        const gridSize = scene.grid.size;
-        const distanceInFeet = (distance / gridSize) * 5;
-        
-        return distanceInFeet;
+    getDistanceBetween(token1, token2) {
+        return measureDistance(token1, token2);
     }
 
     /**
      * Process the Dread Rune effect for a frightened enemy
      */
-    async processDreadRuneEffect(actor) {
+    async processDreadRuneEffect(token, scene = token.parent, combat = null, frightenedValue = this.getFrightenedValue(token.actor)) {
         try {
-            // Find the character with Dread Rune armor who is affecting this actor (highest DC)
-            const dreadRuneActor = this.getDreadRuneActorAffecting(actor);
-            if (!dreadRuneActor) {
+            const actor = token.actor;
+            
+            // Find the character with Dread Rune armor who is affecting this token (highest DC)
+            const wearerToken = this.getDreadRuneTokenAffecting(token, scene, frightenedValue);
+            if (!wearerToken) {
                 return;
             }
             
             // Get the rune data for the chat message
-            const runeData = this.getDreadRuneData(dreadRuneActor);
+            const runeData = this.getRuneData(wearerToken.actor);
             if (!runeData) {
                 return;
             }
             
-            // Get the frightened condition for the chat message
-            const frightenedCondition = this.findFrightenedCondition(actor);
-            if (!frightenedCondition) {
+            if (frightenedValue < 1) {
+                return;
+            }
+            
+            const pendingSave = this.createPendingSave(wearerToken, frightenedValue, combat);
+            if (!pendingSave) {
                 return;
             }
+            this.record(combat, LOG_EVENTS.SAVE, `${token.name} (frightened ${pendingSave.frightened}) must save against ${wearerToken.name}'s ${runeData.name}, Will DC ${pendingSave.dc}`);
             
-            // Get all Dread Rune actors affecting this creature to show in the message
-            const allAffectingActors = this.getAllDreadRuneActorsAffecting(actor);
+            // Get all Dread Rune wearers affecting this creature to show in the message
+            const allAffectingTokens = this.getAllDreadRuneTokensAffecting(token, scene, frightenedValue);
             let affectingActorsText = "";
             
-            if (allAffectingActors.length > 1) {
-                const actorNames = allAffectingActors.map(a => a.name).join(", ");
+            if (allAffectingTokens.length > 1 && shouldShowChat(CHAT_VERBOSITY.FULL)) {
+                const actorNames = allAffectingTokens.map(t => t.name).join(", ");
                 affectingActorsText = `<p><em>Multiple Dread Runes detected: ${actorNames}</em></p>`;
             }
             
+            const saveMode = game.settings.get(MODULE_ID, "auto-roll-saves");
+            
+            // GM auto-roll: the save goes through the PF2E check pipeline and resolves straight away
+            if (saveMode === "auto") {
+                if (!isExecutor()) {
+                    return;
+                }
+                
+                if (shouldShowChat()) {
+                    await this.createEffectMessage(runeData, `${affectingActorsText}
+                        <p><strong>${actor.name}</strong> attempts a Will save against the highest DC (${runeData.dc}).</p>`);
+                }
+                
+                await this.rollWillSave(actor, pendingSave);
+                return;
+            }
+            
+            // Remember the save so its result can be resolved when it is rolled
+            await this.setPendingSave(actor, pendingSave);
+            
             // Create a chat message to announce the effect
-            if (game.settings.get("pf2e-property-runes", "show-chat-messages")) {
-                const message = await ChatMessage.create({
-                    user: game.user.id,
-                    // No speaker - this ensures the DC is not affected by any actor's conditions
-                    content: `<div class="dread-rune-effect">
-                        <div class="dread-rune-header">
-                            <img src="systems/pf2e/icons/equipment/runes/armor-property-runes/armor-property-runes.webp" width="20" height="20">
-                            <strong>${runeData.name} Effect</strong>
-                        </div>
-                        ${affectingActorsText}
-                        <p><strong>${actor.name}</strong> must attempt a Will save against the highest DC: @Check[will|dc:${runeData.dc}|name:Dread Rune|traits:fear|showDC:all]{Will Save}</p>
-                    </div>`,
-                    style: CONST.CHAT_MESSAGE_STYLES.OTHER
-                });
+            if (shouldShowChat()) {
+                // Prompt mode whispers the check link to the frightened creature's owners
+                const whisper = saveMode === "prompt"
+                    ? game.users.filter(user => actor.testUserPermission(user, "OWNER")).map(user => user.id)
+                    : [];
+                
+                await this.createEffectMessage(runeData, `${affectingActorsText}
+                        <p><strong>${actor.name}</strong> must attempt a Will save against the highest DC: @Check[will|dc:${runeData.dc}|name:Dread Rune|traits:fear|showDC:all]{Will Save}</p>`, { whisper });
             }
             
         } catch (error) {
@@ -917,88 +704,160 @@ class DreadRuneAutomation {
 
 
 
+    /**
+     * Create a Dread Rune chat card
+     */
+    async createEffectMessage(runeData, body, { whisper = [] } = {}) {
+        // No speaker - this ensures the DC is not affected by any actor's conditions
+        return createRuneCard({ title: `${runeData.name} Effect`, body, whisper });
+    }
+
+    /**
+     * Describe the save a frightened actor owes to a Dread Rune wearer
+     * The frightened value is the one from before PF2E's end of turn decrement, so a failed save can undo it
+     */
+    createPendingSave(wearerToken, frightenedValue, combat = null) {
+        const found = this.findRune(wearerToken.actor);
+        if (!found?.data) {
+            return null;
+        }
+
+        return {
+            grade: found.grade,
+            dc: found.data.dc,
+            frightened: frightenedValue,
+            wearerUuid: wearerToken.uuid,
+            combatId: combat?.id ?? null
+        };
+    }
+
+    /**
+     * Record a pending Dread Rune save on the frightened actor
+     */
+    async setPendingSave(actor, pendingSave) {
+        if (!isExecutor()) {
+            return;
+        }
+
+        await actor.setFlag(MODULE_ID, "dreadSave", pendingSave);
+    }
+
+    /**
+     * Roll a Dread Rune Will save for an actor and resolve its outcome
+     */
+    async rollWillSave(actor, pendingSave) {
+        const runeData = this.getGradeData(pendingSave.grade);
+        const will = actor.saves?.will;
+        if (!will) {
+            this.log(`${actor.name} has no Will save to roll`);
+            return;
+        }
+
+        const roll = await will.roll({
+            dc: { value: pendingSave.dc, label: runeData.name },
+            traits: ["fear"],
+            extraRollOptions: ["dread-rune"],
+            skipDialog: true
+        });
+
+        const degree = roll?.degreeOfSuccess;
+        if (typeof degree !== "number") {
+            this.log(`Could not read the Will save result for ${actor.name}`);
+            return;
+        }
+
+        const outcome = ["criticalFailure", "failure", "success", "criticalSuccess"][degree];
+        await this.resolveSaveOutcome(actor, pendingSave, outcome);
+    }
+
+    /**
+     * Called when a chat message is created
+     * Resolves pending Dread Rune saves from their saving throw messages
+     */
+    async onSaveMessage(message, options, userId) {
+        if (!isExecutor()) {
+            return;
+        }
+
+        const context = message.flags?.pf2e?.context;
+        if (context?.type !== "saving-throw") {
+            return;
+        }
+
+        const actor = message.actor;
+        const pendingSave = actor?.getFlag(MODULE_ID, "dreadSave");
+        if (!pendingSave) {
+            return;
+        }
+
+        // Only Will saves against the rune's DC resolve the pending save
+        const isWillSave = context.domains?.includes("will") ?? true;
+        if (!isWillSave || context.dc?.value !== pendingSave.dc) {
+            return;
+        }
+
+        await actor.unsetFlag(MODULE_ID, "dreadSave");
+        await this.resolveSaveOutcome(actor, pendingSave, context.outcome);
+    }
+
+    /**
+     * Apply the outcome of a Dread Rune save
+     */
+    async resolveSaveOutcome(actor, pendingSave, outcome) {
+        const runeData = this.getGradeData(pendingSave.grade);
+        if (!runeData) {
+            return;
+        }
+
+        const combat = game.combats.get(pendingSave.combatId) ?? null;
+        this.record(combat, LOG_EVENTS.OUTCOME, `${actor.name} rolled a ${outcome} on the Will save (DC ${pendingSave.dc})`);
+
+        if (outcome === "failure" || outcome === "criticalFailure") {
+            const wearerToken = fromUuidSync(pendingSave.wearerUuid);
+            await this.handleFailedWillSave(actor, wearerToken, runeData, pendingSave.frightened, combat);
+        } else {
+            this.log(`${actor.name} succeeded on the Will save against ${runeData.name}`);
+        }
+    }
+
+    /**
+     * Get the frightened value an actor may not drop below after failing against a rune
+     * Greater Dread Runes stop the decrease entirely
+     */
+    getFrightenedFloor(runeData, originalValue) {
+        if (runeData.minFrightened === null) {
+            return originalValue;
+        }
+        return Math.min(originalValue, runeData.minFrightened);
+    }
+
     /**
      * Handle the consequences of a failed Will save against Dread Rune
      */
-    async handleFailedWillSave(actor, dreadRuneActor, runeData) {
-        this.log(`Handling failed Will save for ${actor.name} against ${dreadRuneActor.name}'s ${runeData.name}`);
+    async handleFailedWillSave(actor, wearerToken, runeData, originalValue, combat = null) {
+        this.log(`Handling failed Will save for ${actor.name} against ${wearerToken?.name ?? "an unknown wearer"}'s ${runeData.name}`);
         
         try {
-            // Find the frightened condition
-            const frightenedCondition = this.findFrightenedCondition(actor);
-            if (!frightenedCondition) {
-                this.log(`${actor.name} no longer has frightened condition`);
-                return;
-            }
+            const floor = this.getFrightenedFloor(runeData, originalValue);
             
-            const currentValue = frightenedCondition.value;
-            this.log(`${actor.name} current frightened value: ${currentValue}`);
+            // The effect grants frightened at the floor value, which covers a condition the end of turn already lowered or removed
+            const token = actor.token ?? actor.getActiveTokens(false, true)[0] ?? null;
+            await applyRuneEffect(RUNE_EFFECTS.DREAD, actor, {
+                token,
+                origin: { actor: wearerToken?.actor, token: wearerToken, item: this.findRune(wearerToken?.actor)?.item },
+                duration: EFFECT_DURATIONS.END_OF_NEXT_TURN,
+                badge: floor
+            });
             
-            // Check if the rune prevents decrease below minimum
-            const minFrightened = runeData.minFrightened;
-            if (minFrightened !== null && currentValue > minFrightened) {
-                this.log(`Creating temporary effect to prevent frightened decrease below ${minFrightened}`);
-                
-                // Create a temporary effect to prevent the decrease
-                const preventDecreaseEffect = {
-                    id: "dread-rune-prevent-decrease",
-                    name: `${runeData.name} - Prevent Frightened Decrease`,
-                    description: `The ${runeData.name} prevents your frightened condition from decreasing below ${minFrightened} this turn.`,
-                    img: "systems/pf2e/icons/equipment/runes/armor-property-runes/armor-property-runes.webp",
-                    system: {
-                        rules: [],
-                        tokenIcon: {
-                            show: false
-                        },
-                        level: {
-                            value: 1
-                        },
-                        duration: {
-                            value: 1,
-                            unit: "rounds"
-                        }
-                    }
-                };
-                
-                // Apply the effect
-                await actor.createEmbeddedDocuments("Item", [preventDecreaseEffect]);
-                this.log("Prevent decrease effect applied successfully");
-                
-                // Send a chat message about the effect if enabled
-                if (game.settings.get("pf2e-property-runes", "show-chat-messages")) {
-                    await ChatMessage.create({
-                        user: game.user.id,
-                        // No speaker - this ensures the DC is not affected by any actor's conditions
-                        content: `<div class="dread-rune-effect">
-                            <div class="dread-rune-header">
-                                <img src="systems/pf2e/icons/equipment/runes/armor-property-runes/armor-property-runes.webp" width="20" height="20">
-                                <strong>${runeData.name} Effect</strong>
-                            </div>
-                            <p><strong>${actor.name}</strong> failed the Will save against the highest DC! Their frightened condition cannot decrease below ${minFrightened} this turn due to ${runeData.name}.</p>
-                        </div>`,
-                        style: CONST.CHAT_MESSAGE_STYLES.OTHER
-                    });
-                }
-            } else if (minFrightened === null) {
-                this.log(`${actor.name} has ${runeData.name} which prevents any frightened decrease`);
+            this.record(combat, LOG_EVENTS.EFFECT, `${actor.name}'s frightened cannot drop below ${floor} until the end of their next turn`);
+            
+            // Send a chat message about the effect if enabled
+            if (shouldShowChat()) {
+                const resultText = runeData.minFrightened === null
+                    ? `Their frightened condition cannot decrease at all until the end of their next turn due to ${runeData.name}.`
+                    : `Their frightened condition cannot decrease below ${floor} until the end of their next turn due to ${runeData.name}.`;
                 
-                // Send a chat message about the effect if enabled
-                if (game.settings.get("pf2e-property-runes", "show-chat-messages")) {
-                    await ChatMessage.create({
-                        user: game.user.id,
-                        // No speaker - this ensures the DC is not affected by any actor's conditions
-                        content: `<div class="dread-rune-effect">
-                            <div class="dread-rune-header">
-                                <img src="systems/pf2e/icons/equipment/runes/armor-property-runes/armor-property-runes.webp" width="20" height="20">
-                                <strong>${runeData.name} Effect</strong>
-                            </div>
-                            <p><strong>${actor.name}</strong> failed the Will save against the highest DC! Their frightened condition cannot decrease at all this turn due to ${runeData.name}.</p>
-                        </div>`,
-                        style: CONST.CHAT_MESSAGE_STYLES.OTHER
-                    });
-                }
-            } else {
-                this.log(`${actor.name} frightened value is already at or below minimum (${minFrightened}), no effect needed`);
+                await this.createEffectMessage(runeData, `<p><strong>${actor.name}</strong> failed the Will save against the highest DC! ${resultText}</p>`);
             }
             
         } catch (error) {
@@ -1008,162 +867,134 @@ class DreadRuneAutomation {
     }
 
     /**
-     * Get all Dread Rune actors affecting the given frightened actor
-     * Returns an array of all actors with Dread Rune armor within range
+     * Get the combat whose turn change an actor's frightened decrement belongs to, or null
+     * PF2E lowers frightened just after the turn has passed from the actor's combatant
      */
-    getAllDreadRuneActorsAffecting(frightenedActor) {
-        const scene = game.scenes.active;
-        if (!scene) {
-            return [];
+    getEndedTurnCombat(actor) {
+        return game.combats.find(combat => {
+            const previous = combat.previous?.combatantId;
+            return previous
+                && previous !== combat.combatant?.id
+                && combat.combatants.get(previous)?.actor === actor;
+        }) ?? null;
+    }
+
+    /**
+     * Note a frightened condition's value in the options of a decrease made at a turn change
+     * Only the client making the change sees the value before it, so it travels with the update
+     */
+    snapshotFrightened(item, newValue, options) {
+        if (item.type !== "condition" || item.slug !== "frightened" || !item.actor) {
+            return;
         }
 
-        // Get all actors with Dread Rune armor in the scene
-        const dreadRuneActors = this.getDreadRuneActors(scene);
-        const affectingActors = [];
-        
-        for (const dreadRuneActor of dreadRuneActors) {
-            const distance = this.getDistanceBetween(frightenedActor, dreadRuneActor);
-            
-            // Get the specific rune data for this actor's armor to check range
-            const runeData = this.getDreadRuneData(dreadRuneActor);
-            if (!runeData) {
-                continue;
-            }
-            
-            if (distance <= runeData.range) {
-                affectingActors.push(dreadRuneActor);
-            }
+        const value = item.value ?? item.system?.value?.value ?? 1;
+        const combat = this.getEndedTurnCombat(item.actor);
+        if (!combat || newValue >= value) {
+            return;
         }
-        
-        return affectingActors;
+
+        options[MODULE_ID] = {
+            frightenedSnapshot: { combatId: combat.id, combatantId: combat.previous.combatantId, value }
+        };
     }
 
     /**
-     * Get the Dread Rune actor who is affecting the given frightened actor
-     * Returns the actor with the highest DC rune within range
+     * Called before an item is updated, on the updating client only
      */
-    getDreadRuneActorAffecting(frightenedActor) {
-        const scene = game.scenes.active;
-        if (!scene) {
-            return null;
+    onPreUpdateCondition(item, change, options, userId) {
+        const newValue = foundry.utils.getProperty(change, "system.value.value");
+        if (typeof newValue === "number") {
+            this.snapshotFrightened(item, newValue, options);
         }
+    }
 
-        // Get all actors with Dread Rune armor in the scene
-        const dreadRuneActors = this.getDreadRuneActors(scene);
-        this.log(`Found ${dreadRuneActors.length} actors with Dread Rune armor`);
-        
-        if (dreadRuneActors.length === 0) {
-            return null;
-        }
-        
-        // Find the Dread Rune actor with the highest DC within range
-        let highestDCActor = null;
-        let highestDC = -1;
-        
-        for (const dreadRuneActor of dreadRuneActors) {
-            const distance = this.getDistanceBetween(frightenedActor, dreadRuneActor);
-            this.log(`Distance to ${dreadRuneActor.name}: ${distance.toFixed(1)} feet`);
-            
-            // Get the specific rune data for this actor's armor to check range
-            const runeData = this.getDreadRuneData(dreadRuneActor);
-            if (!runeData) {
-                this.log(`Could not determine rune data for ${dreadRuneActor.name}, skipping`);
-                continue;
-            }
-            
-            if (distance <= runeData.range) {
-                this.log(`✅ ${dreadRuneActor.name} is within range (${distance.toFixed(1)} feet <= ${runeData.range} feet) with DC ${runeData.dc}`);
-                
-                // Check if this actor has a higher DC than what we've seen so far
-                if (runeData.dc > highestDC) {
-                    highestDC = runeData.dc;
-                    highestDCActor = dreadRuneActor;
-                    this.log(`🎯 New highest DC: ${dreadRuneActor.name} with DC ${runeData.dc}`);
-                }
-            } else {
-                this.log(`❌ ${dreadRuneActor.name} is out of range (${distance.toFixed(1)} feet > ${runeData.range} feet)`);
-            }
-        }
-        
-        if (highestDCActor) {
-            this.log(`Highest DC Dread Rune actor affecting ${frightenedActor.name}: ${highestDCActor.name} with DC ${highestDC}`);
-        } else {
-            this.log(`No Dread Rune actor within range of ${frightenedActor.name}`);
-        }
-        
-        return highestDCActor;
+    /**
+     * Called before an item is deleted, on the deleting client only
+     */
+    onPreDeleteCondition(item, options, userId) {
+        this.snapshotFrightened(item, 0, options);
     }
 
     /**
-     * Get the Dread Rune data for a specific actor's armor
+     * Keep the frightened value from before an end of turn decrement for the turn's Dread Rune check
+     * Decreases made at any other time, e.g. by the GM, carry no snapshot and are left alone
      */
-    getDreadRuneData(actor) {
-        // Check equipped armor for Dread Rune
-        const equippedArmor = actor.itemTypes.armor.find(armor => 
-            armor.isEquipped
-        );
-        
-        if (!equippedArmor) {
-            return null;
-        }
-        
-        // Check for property runes
-        if (equippedArmor.system.runes?.property) {
-            for (const rune of equippedArmor.system.runes.property) {
-                // Handle both string and object rune formats
-                let runeName = '';
-                if (typeof rune === 'string') {
-                    runeName = rune;
-                } else if (rune && typeof rune === 'object') {
-                    runeName = rune.name || rune.slug || '';
-                }
-                
-                if (runeName.toLowerCase().includes('dread')) {
-                    // Determine the rune type from the name
-                    let runeType = 'lesser'; // default
-                    if (runeName.toLowerCase().includes('greater')) {
-                        runeType = 'greater';
-                    } else if (runeName.toLowerCase().includes('moderate')) {
-                        runeType = 'moderate';
-                    }
-                    
-                    const runeData = this.DREAD_RUNE_TYPES[runeType];
-                    return runeData;
-                }
-            }
+    recordSnapshot(item, options) {
+        const snapshot = options?.[MODULE_ID]?.frightenedSnapshot;
+        if (!snapshot || !isExecutor()) {
+            return;
         }
-        
-        return null;
+
+        this.log(`${item.actor?.name ?? "Unknown"} was frightened ${snapshot.value} when their turn ended`);
+        this.frightenedSnapshots.set(`${snapshot.combatId}.${snapshot.combatantId}`, snapshot.value);
     }
 
     /**
-     * Check for Dread Rune equipment when actors are updated
+     * Called when an item is updated
      */
-    checkDreadRuneEquipment(actor) {
-        // Method for future use
+    onConditionUpdated(item, change, options, userId) {
+        this.recordSnapshot(item, options);
     }
 
     /**
-     * Debug method to inspect an actor's frightened condition
+     * Called when an item is deleted
      */
-    debugFrightenedCondition(actor) {
-        this.log(`=== DEBUGGING FRIGHTENED CONDITION FOR ${actor.name} ===`);
-        
-        // Test the findFrightenedCondition method
-        const foundCondition = this.findFrightenedCondition(actor);
-        if (foundCondition) {
-            this.log(`✅ Found frightened condition:`, foundCondition);
+    onConditionDeleted(item, options, userId) {
+        this.recordSnapshot(item, options);
+    }
+
+    /**
+     * Get all Dread Rune wearers affecting the given frightened token
+     * Returns every enemy wearer within range and sight whose minimum the frightened value meets
+     */
+    getAllDreadRuneTokensAffecting(frightenedToken, scene = frightenedToken.parent, frightenedValue = this.getFrightenedValue(frightenedToken.actor)) {
+        if (!scene) {
+            return [];
+        }
+
+        return this.getRuneTokens(scene).filter(wearerToken => {
+            const reason = this.getWearerRejection(frightenedToken, wearerToken, frightenedValue);
+            if (reason) {
+                this.log(`❌ ${reason}`);
+            }
+            return !reason;
+        });
+    }
+
+    /**
+     * Get the Dread Rune wearer who is affecting the given frightened token
+     * Returns the highest DC wearer among those that could affect it
+     */
+    getDreadRuneTokenAffecting(frightenedToken, scene = frightenedToken.parent, frightenedValue = this.getFrightenedValue(frightenedToken.actor)) {
+        let highestDCToken = null;
+        let highestDC = -1;
+
+        for (const wearerToken of this.getAllDreadRuneTokensAffecting(frightenedToken, scene, frightenedValue)) {
+            const dc = this.getRuneData(wearerToken.actor).dc;
+            if (dc > highestDC) {
+                highestDC = dc;
+                highestDCToken = wearerToken;
+            }
+        }
+
+        if (highestDCToken) {
+            this.log(`Highest DC Dread Rune wearer affecting ${frightenedToken.name}: ${highestDCToken.name} with DC ${highestDC}`);
         } else {
-            this.log(`❌ No frightened condition found`);
+            this.log(`No Dread Rune wearer can affect ${frightenedToken.name}`);
         }
-        
-        this.log(`=== END DEBUG ===`);
+
+        return highestDCToken;
     }
 
+    /**
+     * Check for Dread Rune equipment when actors are updated
+     */
+    checkDreadRuneEquipment(actor) {
+        const found = this.findRune(actor);
+        if (found) {
+            this.log(`${actor.name} wears ${found.item.name} with ${found.data.name}`);
+        }
+    }
 
 }
-
-// Initialize the module when FoundryVTT is ready
-Hooks.on("ready", () => {
-    new DreadRuneAutomation();
-});
@@ -0,0 +1,145 @@
+/**
+ * PF2E Property Runes - Rune Effects
+ * Applies the effect items shipped in the module's compendium
+ *
+ * Every lasting rune state (a dread floor, an energy resistance, a timed critical
+ * rider) is a PF2E effect item whose rule elements do the work. Effects are copied
+ * from the compendium by UUID with their origin, start and duration filled in, so
+ * the system shows, expires and removes them like any other effect.
+ */
+
+import { MODULE_ID, log } from "./utils.js";
+
+export const EFFECT_PACK = `${MODULE_ID}.rune-effects`;
+
+// Compendium effects by key: document ID in the rune-effects pack
+export const RUNE_EFFECTS = Object.freeze({
+    DREAD: { id: "7X8s51fbLtByHwiU" },
+    ENERGY_RESISTANT_ACID: { id: "mrCaoND5bgfTFAbG" },
+    ENERGY_RESISTANT_COLD: { id: "OUBwXdnYcLxQlNnV" },
+    ENERGY_RESISTANT_ELECTRICITY: { id: "xKW3x9KsQuKf0ElT" },
+    ENERGY_RESISTANT_FIRE: { id: "ELYCRPklZlIuR0Hm" },
+    ENERGY_RESISTANT_SONIC: { id: "LhfgBcKr8Kr0Lvgx" },
+    BANE: { id: "5sIt5XDJnqjgNYhT" },
+    BANE_WEAPON: { id: "Wb4nE7pKx2QsRd9T" },
+    GRIEVOUS_SPEAR: { id: "Y1FpvIj6VLg8ykCc" },
+    GRIEVOUS_SWORD: { id: "dOAzbkZoRaoZV8dI" },
+    INVISIBILITY: { id: "qN4bV8cTz2WkL7xR" },
+    FORTIFICATION: { id: "Hc3mWq9LrT5yVb2N" },
+    ENERGY_ABSORBING: { id: "Jr6tY3mVp8BdQx1L" }
+});
+
+export const EFFECT_DURATIONS = Object.freeze({
+    END_OF_TURN: { value: 0, unit: "rounds", expiry: "turn-end", sustained: false },
+    START_OF_NEXT_TURN: { value: 1, unit: "rounds", expiry: "turn-start", sustained: false },
+    END_OF_NEXT_TURN: { value: 1, unit: "rounds", expiry: "turn-end", sustained: false },
+    ONE_MINUTE: { value: 1, unit: "minutes", expiry: "turn-start", sustained: false },
+    TEN_MINUTES: { value: 10, unit: "minutes", expiry: "turn-start", sustained: false },
+    UNLIMITED: { value: -1, unit: "unlimited", expiry: null, sustained: false }
+});
+
+/**
+ * Get the compendium UUID of a rune effect
+ */
+export function getEffectUuid(effect) {
+    return `Compendium.${EFFECT_PACK}.Item.${effect.id}`;
+}
+
+/**
+ * Get the source data of a rune effect from the compendium
+ */
+async function getEffectSource(effect) {
+    const uuid = getEffectUuid(effect);
+    const document = await fromUuid(uuid).catch(() => null);
+    if (!document) {
+        log(`${uuid} is missing from the ${EFFECT_PACK} compendium`);
+        return null;
+    }
+    return document.toObject();
+}
+
+/**
+ * Get the combatant whose turn a duration is counted from
+ */
+function getTurnCombatant(token) {
+    if (!token) {
+        return null;
+    }
+    return game.combats.find(combat => combat.started && combat.combatants.some(combatant => combatant.tokenId === token.id))
+        ?.combatants.find(combatant => combatant.tokenId === token.id) ?? null;
+}
+
+/**
+ * Find every copy of a rune effect on an actor
+ */
+export function findRuneEffects(actor, effect) {
+    const uuid = getEffectUuid(effect);
+    return actor?.itemTypes?.effect?.filter(item => (item._stats?.compendiumSource ?? item.flags?.core?.sourceId) === uuid) ?? [];
+}
+
+/**
+ * Find a rune effect on an actor
+ */
+export function findRuneEffect(actor, effect) {
+    return findRuneEffects(actor, effect)[0] ?? null;
+}
+
+/**
+ * Apply a rune effect to an actor, replacing the same effect if it is already there
+ * @param {object} effect                  One of RUNE_EFFECTS
+ * @param {Actor} actor                    Affected actor
+ * @param {object} [options]
+ * @param {TokenDocument} [options.token]  Affected token
+ * @param {object} [options.origin]        { actor, token, item } the effect comes from
+ * @param {object} [options.duration]      One of EFFECT_DURATIONS, until the end of the affected creature's next turn by default
+ * @param {TokenDocument} [options.turnOf] Token whose turns the duration counts, the affected token by default
+ * @param {number} [options.badge]         Counter badge value, e.g. a resistance or condition value
+ * @param {object} [options.flags]         Module flags for the effect's rule elements to read, e.g. the item they alter
+ * @param {boolean} [options.replace]      Remove the same effect first; off for effects an actor can have several of
+ * @returns {Promise<Item|null>}
+ */
+export async function applyRuneEffect(effect, actor, { token = null, origin = {}, duration = EFFECT_DURATIONS.END_OF_NEXT_TURN, turnOf = token, badge = null, flags = {}, replace = true } = {}) {
+    const source = await getEffectSource(effect);
+    if (!source || !actor) {
+        return null;
+    }
+
+    const uuid = getEffectUuid(effect);
+    const combatant = getTurnCombatant(turnOf);
+    delete source._id;
+    delete source._key;
+    foundry.utils.mergeObject(source, {
+        "_stats.compendiumSource": uuid,
+        "flags.core.sourceId": uuid,
+        "system.duration": duration,
+        "system.start": { value: game.time.worldTime, initiative: combatant?.initiative ?? null },
+        "system.context": {
+            origin: {
+                actor: origin.actor?.uuid ?? null,
+                token: origin.token?.uuid ?? null,
+                item: origin.item?.uuid ?? null,
+                spellcasting: null,
+                rollOptions: []
+            },
+            target: { actor: actor.uuid, token: token?.uuid ?? null },
+            roll: null
+        },
+        [`flags.${MODULE_ID}`]: flags
+    });
+    if (badge !== null && source.system.badge) {
+        source.system.badge.value = badge;
+    }
+
+    if (replace) {
+        await findRuneEffect(actor, effect)?.delete();
+    }
+    const [created] = await actor.createEmbeddedDocuments("Item", [source]);
+    return created ?? null;
+}
+
+/**
+ * Remove a rune effect from an actor if it is there
+ */
+export async function removeRuneEffect(actor, effect) {
+    await findRuneEffect(actor, effect)?.delete();
+}
@@ -0,0 +1,162 @@
+/**
+ * PF2E Property Runes - Energy-Resistant Rune Automation
+ * Grants resistance from acid-, cold-, electricity-, fire- and sonic-resistant armor runes
+ *
+ * Each energy type has its own compendium effect with a Resistance rule element
+ * reading the effect's badge. The effects are synced with the wearer's armor
+ * whenever armor is equipped, unequipped or re-runed.
+ */
+
+import { MODULE_ID } from "./utils.js";
+import { PropertyRuneHandler } from "./rune-registry.js";
+import { isExecutor } from "./socket.js";
+import { RUNE_SLOTS } from "./slots.js";
+import { RUNE_EFFECTS, EFFECT_DURATIONS, applyRuneEffect, findRuneEffect } from "./effects.js";
+
+const ENERGY_TYPES = ["acid", "cold", "electricity", "fire", "sonic"];
+
+// PF2E rune slug → energy type, e.g. "fireResistant" and "greaterFireResistant" → "fire"
+const ENERGY_SLUGS = Object.fromEntries(ENERGY_TYPES.flatMap(type => {
+    const name = `${type.charAt(0).toUpperCase()}${type.slice(1)}Resistant`;
+    return [[`${type}Resistant`, type], [`greater${name}`, type]];
+}));
+
+// Energy type → compendium effect granting resistance to it
+const ENERGY_EFFECTS = {
+    acid: RUNE_EFFECTS.ENERGY_RESISTANT_ACID,
+    cold: RUNE_EFFECTS.ENERGY_RESISTANT_COLD,
+    electricity: RUNE_EFFECTS.ENERGY_RESISTANT_ELECTRICITY,
+    fire: RUNE_EFFECTS.ENERGY_RESISTANT_FIRE,
+    sonic: RUNE_EFFECTS.ENERGY_RESISTANT_SONIC
+};
+
+export class EnergyResistantRuneAutomation extends PropertyRuneHandler {
+    constructor() {
+        super({
+            slug: "energy-resistant",
+            name: "Energy-Resistant Rune",
+            itemType: "armor",
+            slots: [RUNE_SLOTS.ARMOR],
+            grades: {
+                "standard": {
+                    name: "Energy-Resistant Rune",
+                    resistance: 5
+                },
+                "greater": {
+                    name: "Greater Energy-Resistant Rune",
+                    resistance: 10
+                }
+            },
+            runeSlugs: Object.fromEntries(Object.keys(ENERGY_SLUGS).map(slug => [slug, slug.startsWith("greater") ? "greater" : "standard"])),
+            triggers: [],
+            configurableFields: ["resistance"]
+        });
+    }
+
+    /**
+     * Initialize FoundryVTT hooks for the handler
+     */
+    initializeHooks() {
+        Hooks.on("createItem", this.onItemChanged.bind(this));
+        Hooks.on("updateItem", this.onItemChanged.bind(this));
+        Hooks.on("deleteItem", this.onItemChanged.bind(this));
+        Hooks.on("updateActor", this.onActorUpdate.bind(this));
+
+        // Tokens can switch the rune off from the Token HUD
+        Hooks.on("updateToken", (token, change) => {
+            if (isExecutor() && token.actor && foundry.utils.hasProperty(change, `flags.${MODULE_ID}`)) {
+                this.queueSync(token.actor);
+            }
+        });
+    }
+
+    /**
+     * Called once the world is ready
+     */
+    onReady() {
+        if (!isExecutor()) {
+            return;
+        }
+
+        this.queueSyncAll();
+    }
+
+    /**
+     * Get the energy type of a property rune entry, or null if it is not energy-resistant
+     * Aliased runes have no slug to read the type from, so they grant no resistance
+     */
+    getEnergyType(rune) {
+        const slug = typeof rune === "string" ? rune : rune?.slug;
+        return ENERGY_SLUGS[slug] ?? null;
+    }
+
+    /**
+     * Get the resistance each energy type should have from an actor's equipped armor
+     * Only the highest value per type counts
+     */
+    getResistances(actor) {
+        const resistances = {};
+
+        for (const item of this.getRuneItems(actor)) {
+            for (const rune of item.system?.runes?.property ?? []) {
+                const type = this.getEnergyType(rune);
+                if (!type) {
+                    continue;
+                }
+
+                const value = this.getGradeData(this.matchRune(rune))?.resistance ?? 0;
+                resistances[type] = Math.max(resistances[type] ?? 0, value);
+            }
+        }
+
+        return resistances;
+    }
+
+    /**
+     * Called when an item is created, updated or deleted
+     */
+    onItemChanged(item, ...args) {
+        if (!isExecutor() || item.type !== "armor" || !item.actor) {
+            return;
+        }
+        this.queueSync(item.actor);
+    }
+
+    /**
+     * Called when an actor is updated
+     * Only item changes made through the actor, such as an unlinked token's own items, can change its armor
+     */
+    onActorUpdate(actor, change, options, userId) {
+        if (!isExecutor() || !("items" in change)) {
+            return;
+        }
+        this.queueSync(actor);
+    }
+
+    /**
+     * Add, update or remove the resistance effects to match the actor's armor
+     */
+    async syncEffects(actor) {
+        const token = actor.token ?? actor.getActiveTokens(false, true)[0] ?? null;
+        const enabled = this.isEnabled() && this.isEnabledForToken(token);
+        const resistances = enabled ? this.getResistances(actor) : {};
+
+        for (const [type, effectEntry] of Object.entries(ENERGY_EFFECTS)) {
+            const value = resistances[type] ?? 0;
+            const effect = findRuneEffect(actor, effectEntry);
+
+            if (!value) {
+                if (effect) {
+                    this.log(`Removing ${type} resistance from ${actor.name}`);
+                    await effect.delete();
+                }
+            } else if (!effect) {
+                this.log(`Granting ${actor.name} ${type} resistance ${value}`);
+                await applyRuneEffect(effectEntry, actor, { token, duration: EFFECT_DURATIONS.UNLIMITED, badge: value });
+            } else if (effect.system.badge?.value !== value) {
+                this.log(`Updating ${actor.name}'s ${type} resistance to ${value}`);
+                await effect.update({ "system.badge.value": value });
+            }
+        }
+    }
+}
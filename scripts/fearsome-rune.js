@@ -0,0 +1,86 @@
+/**
+ * PF2E Property Runes - Fearsome Rune Automation
+ * Frightens the target of a critical strike made with a fearsome weapon
+ *
+ * Together with Dread Rune armor this automates the whole chain:
+ * fearsome crit → frightened → dread floor at the end of the target's turn.
+ */
+
+import { RUNE_ICONS, shouldShowChat, isImmuneTo, createRuneCard } from "./utils.js";
+import { PropertyRuneHandler, RUNE_TRIGGERS } from "./rune-registry.js";
+import { LOG_EVENTS } from "./combat-log.js";
+import { RUNE_SLOTS } from "./slots.js";
+
+// Fearsome has the emotion, fear and mental traits
+const FEARSOME_IMMUNITIES = ["fear-effects", "emotion", "mental", "frightened"];
+
+export class FearsomeRuneAutomation extends PropertyRuneHandler {
+    constructor() {
+        super({
+            slug: "fearsome",
+            name: "Fearsome Rune",
+            itemType: "weapon",
+            slots: [RUNE_SLOTS.WEAPON],
+            grades: {
+                "standard": {
+                    name: "Fearsome Rune",
+                    frightened: 1
+                },
+                "greater": {
+                    name: "Greater Fearsome Rune",
+                    frightened: 2
+                }
+            },
+            triggers: [RUNE_TRIGGERS.ON_CRIT],
+            configurableFields: ["frightened"]
+        });
+    }
+
+    /**
+     * Frighten the target of a critical strike made with a fearsome weapon
+     */
+    async resolve({ combat, item, token, actor, target }) {
+        // Only the weapon used for the strike counts, not other wielded weapons
+        const found = this.findRuneOnItem(item);
+        if (!found?.data || !this.isEnabledForToken(token)) {
+            return;
+        }
+
+        const targetActor = target?.actor;
+        if (!targetActor) {
+            this.log(`${actor?.name ?? "Unknown"} critically hit with ${item.name}, but the strike had no target`);
+            return;
+        }
+
+        if (isImmuneTo(targetActor, FEARSOME_IMMUNITIES)) {
+            this.log(`${target.name} is immune to ${found.data.name}`);
+            this.record(combat, LOG_EVENTS.REJECTED, `${target.name}: immune to fear`);
+            if (shouldShowChat()) {
+                await this.createEffectMessage(found.data, `<p><strong>${target.name}</strong> is immune to fear and is not frightened.</p>`);
+            }
+            return;
+        }
+
+        const value = found.data.frightened;
+        const before = targetActor.getCondition?.("frightened")?.value ?? 0;
+
+        // PF2E keeps the higher of the existing and new value
+        await targetActor.increaseCondition("frightened", { value });
+        this.log(`${found.data.name} frightened ${target.name} (${before} → ${Math.max(before, value)})`);
+        this.record(combat, LOG_EVENTS.EFFECT, `${target.name} frightened ${before} → ${Math.max(before, value)} from ${found.data.name}`);
+
+        if (shouldShowChat()) {
+            const resultText = before >= value
+                ? `is already frightened ${before}.`
+                : `becomes frightened ${value}.`;
+            await this.createEffectMessage(found.data, `<p><strong>${actor?.name ?? "The attacker"}</strong> critically hit with ${item.name}: <strong>${target.name}</strong> ${resultText}</p>`);
+        }
+    }
+
+    /**
+     * Create a Fearsome Rune chat card
+     */
+    async createEffectMessage(runeData, body) {
+        return createRuneCard({ title: `${runeData.name} Effect`, img: RUNE_ICONS.WEAPON, body });
+    }
+}
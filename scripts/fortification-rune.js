@@ -0,0 +1,226 @@
+/**
+ * PF2E Property Runes - Fortification Rune Automation
+ * Rolls the flat check that can turn a critical hit against the wearer into a normal hit
+ *
+ * The flat check is rolled on the attacker's client while the strike message is being
+ * created, so the result travels in the message itself. On a success the strike becomes
+ * a normal hit, and a critical damage roll made from it anyway is swapped for a regular one.
+ */
+
+import { MODULE_ID, shouldShowChat, createRuneCard } from "./utils.js";
+import { PropertyRuneHandler, RUNE_TRIGGERS, setStrikeOutcome } from "./rune-registry.js";
+import { isExecutor } from "./socket.js";
+import { LOG_EVENTS } from "./combat-log.js";
+import { RUNE_SLOTS } from "./slots.js";
+import { RUNE_EFFECTS, EFFECT_DURATIONS, applyRuneEffect, findRuneEffects } from "./effects.js";
+
+// Fortification increases the armor's Bulk by 1 and its Strength requirement by 1
+const ARMOR_ADJUSTMENT = { bulk: 1, strength: 1 };
+
+/**
+ * Roll a flat check synchronously, as chat message pre-creation cannot wait
+ */
+function rollFlatCheck() {
+    const roll = new Roll("1d20");
+    return game.release.generation >= 12 ? roll.evaluateSync() : roll.evaluate({ async: false });
+}
+
+export class FortificationRuneAutomation extends PropertyRuneHandler {
+    constructor() {
+        super({
+            slug: "fortification",
+            name: "Fortification Rune",
+            itemType: "armor",
+            slots: [RUNE_SLOTS.ARMOR],
+            grades: {
+                "standard": {
+                    name: "Fortification Rune",
+                    dc: 17
+                },
+                "greater": {
+                    name: "Greater Fortification Rune",
+                    dc: 14
+                }
+            },
+            // A downgraded critical hit is reported as a hit
+            triggers: [RUNE_TRIGGERS.ON_HIT],
+            configurableFields: ["dc"]
+        });
+    }
+
+    /**
+     * Initialize FoundryVTT hooks for the handler
+     */
+    initializeHooks() {
+        // Roll the flat check as the strike is posted, after keen has had its say
+        Hooks.on("preCreateChatMessage", this.onPreCreateStrike.bind(this));
+
+        // Swap critical damage rolls against a fortified target for regular ones
+        Hooks.on("preCreateChatMessage", this.onPreCreateDamage.bind(this));
+
+        // Keep the armor's Bulk and Strength requirement in line with the rune
+        Hooks.on("createItem", this.onArmorChanged.bind(this));
+        Hooks.on("updateItem", this.onArmorChanged.bind(this));
+        Hooks.on("deleteItem", this.onArmorChanged.bind(this));
+    }
+
+    /**
+     * Called once the world is ready
+     */
+    onReady() {
+        if (!isExecutor()) {
+            return;
+        }
+
+        this.queueSyncAll(actor => actor.itemTypes?.armor?.length);
+    }
+
+    /**
+     * Called before a chat message is created, on the creating client only
+     * Rolls the flat check for a critical strike against a fortification wearer and records it on the message
+     */
+    onPreCreateStrike(message, data, options, userId) {
+        const context = message.flags?.pf2e?.context;
+        if (context?.type !== "attack-roll" || context.outcome !== "criticalSuccess" || !message.rolls?.[0]) {
+            return;
+        }
+
+        const target = context.target?.token ? fromUuidSync(context.target.token) : null;
+        const found = this.findRune(target?.actor);
+        if (!this.isEnabled() || !found?.data || !this.isEnabledForToken(target)) {
+            return;
+        }
+
+        const roll = rollFlatCheck();
+        const success = roll.total >= found.data.dc;
+        const note = `flat check ${roll.total} vs DC ${found.data.dc}`;
+        this.log(`${target.name}'s ${found.data.name} ${note} (${success ? "success" : "failure"})`);
+
+        message.updateSource({
+            [`flags.${MODULE_ID}.fortification`]: {
+                targetUuid: target.uuid,
+                name: found.data.name,
+                dc: found.data.dc,
+                total: roll.total,
+                success
+            }
+        });
+        if (success) {
+            setStrikeOutcome(message, "success", { slug: this.slug, label: found.data.name, note });
+        }
+    }
+
+    /**
+     * Report the flat check recorded on a strike message
+     */
+    async resolve({ combat, message, target, item }) {
+        const fortification = message?.getFlag(MODULE_ID, "fortification");
+        if (!fortification || !target) {
+            return;
+        }
+
+        const { name, dc, total, success } = fortification;
+        this.record(combat, LOG_EVENTS.OUTCOME, `${target.name} rolled ${total} on the DC ${dc} flat check; the critical hit ${success ? "becomes a normal hit" : "stands"}`);
+
+        if (shouldShowChat()) {
+            const resultText = success
+                ? `The critical hit against <strong>${target.name}</strong> becomes a normal hit. Roll regular damage; a critical damage roll with ${item?.name ?? "the weapon"} is rolled again as regular damage.`
+                : `The critical hit against <strong>${target.name}</strong> stands.`;
+
+            await createRuneCard({
+                title: `${name} Effect`,
+                body: `<p><strong>Flat Check:</strong> ${total} vs DC ${dc} (${success ? "Success" : "Failure"})</p>
+                    <p>${resultText}</p>`
+            });
+        }
+    }
+
+    /**
+     * Get the latest strike message made with an item against a token
+     */
+    getStrikeMessage(itemUuid, targetUuid) {
+        return game.messages.contents.findLast(message => {
+            const context = message.flags?.pf2e?.context;
+            return context?.type === "attack-roll"
+                && context.target?.token === targetUuid
+                && message.flags.pf2e.origin?.uuid === itemUuid;
+        }) ?? null;
+    }
+
+    /**
+     * Called before a chat message is created, on the creating client only
+     * Replaces a critical damage roll for a strike that fortification downgraded with regular damage
+     */
+    onPreCreateDamage(message, data, options, userId) {
+        const context = message.flags?.pf2e?.context;
+        if (context?.type !== "damage-roll" || context.outcome !== "criticalSuccess" || !context.target?.token) {
+            return;
+        }
+
+        // The damage is rolled on the client that posted the strike, so the strike message is already here
+        const itemUuid = message.flags.pf2e.origin?.uuid;
+        const fortification = this.getStrikeMessage(itemUuid, context.target.token)?.getFlag(MODULE_ID, "fortification");
+        if (!fortification?.success) {
+            return;
+        }
+
+        const item = fromUuidSync(itemUuid ?? "");
+        const strike = item?.actor?.system?.actions?.find(action => action.item?.id === item.id);
+        if (!strike?.damage) {
+            this.log(`Could not find the strike for ${item?.name ?? itemUuid} to roll regular damage`);
+            return;
+        }
+
+        this.log(`Fortification downgraded the critical hit with ${item.name}, rolling regular damage`);
+
+        // Roll the replacement once this message has been cancelled
+        Promise.resolve().then(() => strike.damage({ event: null }));
+        return false;
+    }
+
+    /**
+     * Called when an item is created, updated or deleted
+     */
+    onArmorChanged(item, ...args) {
+        if (!isExecutor() || item.type !== "armor" || !item.actor) {
+            return;
+        }
+        this.queueSync(item.actor);
+    }
+
+    /**
+     * Give each fortified piece of armor an effect raising its Bulk and Strength requirement
+     */
+    async syncEffects(actor) {
+        const effects = findRuneEffects(actor, RUNE_EFFECTS.FORTIFICATION);
+
+        for (const item of actor.itemTypes.armor) {
+            const hasRune = !!this.findRuneOnItem(item);
+            const bulk = (item._source.system.bulk?.value ?? 0) + ARMOR_ADJUSTMENT.bulk;
+            const effect = effects.find(effect => effect.getFlag(MODULE_ID, "armorId") === item.id);
+
+            if (effect && (!hasRune || effect.getFlag(MODULE_ID, "bulk") !== bulk)) {
+                await effect.delete();
+            } else if (effect || !hasRune) {
+                continue;
+            }
+
+            if (hasRune) {
+                this.log(`Applying fortification Bulk and Strength changes to ${item.name}`);
+                await applyRuneEffect(RUNE_EFFECTS.FORTIFICATION, actor, {
+                    origin: { actor, item },
+                    duration: EFFECT_DURATIONS.UNLIMITED,
+                    flags: { armorId: item.id, bulk },
+                    replace: false
+                });
+            }
+        }
+
+        // Armor that left the actor takes its effect with it
+        for (const effect of effects) {
+            if (!actor.items.has(effect.getFlag(MODULE_ID, "armorId"))) {
+                await effect.delete();
+            }
+        }
+    }
+}
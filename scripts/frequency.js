@@ -0,0 +1,186 @@
+/**
+ * PF2E Property Runes - Frequency Tracking
+ * Counts activations of runes with a limited frequency on their host item
+ *
+ * Uses are stored per rune slug in a flag on the item, with the world time of
+ * the first use in the current period. They reset once that period has passed
+ * in world time and when the owner rests for the night. Items with recorded uses
+ * are indexed in a world setting, so world time changes only look at those.
+ */
+
+import { MODULE_ID, log } from "./utils.js";
+import { isExecutor } from "./socket.js";
+
+export const FREQUENCY_PERIODS = Object.freeze({
+    HOUR: "hour",
+    DAY: "day"
+});
+
+const PERIOD_SECONDS = {
+    [FREQUENCY_PERIODS.HOUR]: 3600,
+    [FREQUENCY_PERIODS.DAY]: 86400
+};
+
+export class FrequencyTracker {
+    /**
+     * @param {PropertyRuneRegistry} registry  Registry whose handlers declare the frequencies
+     */
+    constructor(registry) {
+        this.registry = registry;
+        this.initializeSettings();
+        this.initializeHooks();
+    }
+
+    /**
+     * Register the tracker's settings
+     */
+    initializeSettings() {
+        // UUIDs of the items holding recorded uses
+        game.settings.register(MODULE_ID, "rune-use-items", {
+            scope: "world",
+            config: false,
+            type: Array,
+            default: []
+        });
+    }
+
+    /**
+     * Initialize FoundryVTT hooks for the tracker
+     */
+    initializeHooks() {
+        // Rest for the Night also covers daily preparations
+        Hooks.on("pf2e.restForTheNight", this.onRest.bind(this));
+        Hooks.on("updateWorldTime", this.onWorldTime.bind(this));
+    }
+
+    /**
+     * Get the recorded uses of a rune on an item as { used, since }
+     */
+    getUsage(item, slug) {
+        const usage = item?.getFlag(MODULE_ID, `runeUses.${slug}`) ?? null;
+        if (typeof usage === "number") {
+            return { used: usage, since: null };
+        }
+        return { used: usage?.used ?? 0, since: usage?.since ?? null };
+    }
+
+    /**
+     * Get how many times a rune on an item may be activated per period, or null if it is unlimited
+     * A grade's "uses" parameter takes precedence over the handler's frequency
+     */
+    getMaxUses(handler, item) {
+        const frequency = handler.activation?.frequency;
+        if (!frequency) {
+            return null;
+        }
+        return handler.findRuneOnItem(item)?.data?.uses ?? frequency.max ?? 1;
+    }
+
+    /**
+     * Get the uses left of a rune on an item, or null if it is unlimited
+     */
+    getRemainingUses(handler, item) {
+        const max = this.getMaxUses(handler, item);
+        if (max === null) {
+            return null;
+        }
+        return Math.max(0, max - this.getUsage(item, handler.slug).used);
+    }
+
+    /**
+     * Count an activation; the first use of a period starts its clock
+     */
+    async markUse(handler, item) {
+        const usage = this.getUsage(item, handler.slug);
+        await item.setFlag(MODULE_ID, `runeUses.${handler.slug}`, {
+            used: usage.used + 1,
+            since: usage.since ?? game.time.worldTime
+        });
+
+        const tracked = this.getTrackedItems();
+        if (!tracked.includes(item.uuid)) {
+            await this.setTrackedItems([...tracked, item.uuid]);
+        }
+    }
+
+    /**
+     * Forget the uses of one rune on an item, or of all of them
+     */
+    async resetUses(item, slug = null) {
+        if (slug) {
+            await item.unsetFlag(MODULE_ID, `runeUses.${slug}`);
+        } else {
+            await item.unsetFlag(MODULE_ID, "runeUses");
+        }
+
+        const tracked = this.getTrackedItems();
+        if (tracked.includes(item.uuid) && foundry.utils.isEmpty(item.getFlag(MODULE_ID, "runeUses") ?? {})) {
+            await this.setTrackedItems(tracked.filter(uuid => uuid !== item.uuid));
+        }
+    }
+
+    /**
+     * Get the UUIDs of the items holding recorded uses
+     */
+    getTrackedItems() {
+        return game.settings.get(MODULE_ID, "rune-use-items") ?? [];
+    }
+
+    /**
+     * Replace the index of items holding recorded uses
+     */
+    async setTrackedItems(uuids) {
+        await game.settings.set(MODULE_ID, "rune-use-items", uuids);
+    }
+
+    /**
+     * Called when an actor rests for the night
+     * Every rune frequency on the actor's items resets
+     */
+    async onRest(actor) {
+        if (!isExecutor() || !actor) {
+            return;
+        }
+
+        for (const item of actor.items) {
+            if (item.getFlag(MODULE_ID, "runeUses")) {
+                log(`${actor.name} rested; resetting rune uses on ${item.name}`);
+                await this.resetUses(item);
+            }
+        }
+    }
+
+    /**
+     * Called when the world time changes
+     * Resets the uses of runes whose period has passed since their first use
+     */
+    async onWorldTime(worldTime, delta) {
+        if (!isExecutor()) {
+            return;
+        }
+
+        const stale = [];
+        for (const uuid of this.getTrackedItems()) {
+            const item = fromUuidSync(uuid);
+            const uses = item?.getFlag?.(MODULE_ID, "runeUses");
+            if (!uses) {
+                // The item or its actor is gone, or its uses were cleared elsewhere
+                stale.push(uuid);
+                continue;
+            }
+
+            for (const slug of Object.keys(uses)) {
+                const period = PERIOD_SECONDS[this.registry.get(slug)?.activation?.frequency?.per];
+                const { since } = this.getUsage(item, slug);
+                if (period && since !== null && worldTime - since >= period) {
+                    log(`Resetting ${slug} uses on ${item.actor?.name}'s ${item.name}`);
+                    await this.resetUses(item, slug);
+                }
+            }
+        }
+
+        if (stale.length) {
+            await this.setTrackedItems(this.getTrackedItems().filter(uuid => !stale.includes(uuid)));
+        }
+    }
+}
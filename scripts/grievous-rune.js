@@ -0,0 +1,235 @@
+/**
+ * PF2E Property Runes - Grievous Rune Automation
+ * Applies the enhanced critical specialization effect of the weapon's group
+ *
+ * Mechanical effects (conditions, timed effects from the module compendium,
+ * persistent damage, extra damage and forced movement) are applied straight away
+ * with an undo button. Effects that need a
+ * save or a choice post a card with check and damage links for the GM instead.
+ */
+
+import { RUNE_TRIGGERS } from "./rune-registry.js";
+import { WeaponRiderAutomation, UNDO_TYPES } from "./weapon-riders.js";
+import { getPushDestination } from "./distance.js";
+import { RUNE_EFFECTS, EFFECT_DURATIONS, applyRuneEffect } from "./effects.js";
+
+const EFFECT_TYPES = Object.freeze({
+    CONDITION: "condition",
+    EFFECT: "effect",
+    PERSISTENT: "persistent",
+    DAMAGE: "damage",
+    PUSH: "push",
+    SAVE: "save",
+    CHOICE: "choice"
+});
+
+// Enhanced critical specialization effects by weapon group
+const GRIEVOUS_EFFECTS = {
+    axe: {
+        type: EFFECT_TYPES.CHOICE,
+        text: "Choose up to two creatures adjacent to the target and within reach. Each takes damage equal to the number of weapon damage dice.",
+        damage: (dice) => `@Damage[${dice}[slashing]]`
+    },
+    bow: {
+        type: EFFECT_TYPES.CONDITION,
+        condition: "immobilized",
+        text: "is pinned in place and immobilized until it pulls the missile free (DC 20 Athletics, Interact)."
+    },
+    brawling: {
+        type: EFFECT_TYPES.SAVE,
+        save: "fortitude",
+        text: "On a failure it is slowed 1 until the end of the attacker's next turn; on a critical failure it is slowed 2."
+    },
+    club: {
+        type: EFFECT_TYPES.PUSH,
+        distance: 10,
+        text: "is knocked 10 feet away."
+    },
+    crossbow: {
+        type: EFFECT_TYPES.PERSISTENT,
+        formula: "2d8",
+        damageType: "bleed"
+    },
+    dart: {
+        type: EFFECT_TYPES.PERSISTENT,
+        formula: "2d6",
+        damageType: "bleed"
+    },
+    firearm: {
+        type: EFFECT_TYPES.SAVE,
+        save: "fortitude",
+        text: "On a failure it is stunned 1; on a critical failure it is stunned 2."
+    },
+    flail: {
+        type: EFFECT_TYPES.CONDITION,
+        condition: "prone",
+        text: "is knocked prone."
+    },
+    hammer: {
+        type: EFFECT_TYPES.CONDITION,
+        condition: "prone",
+        text: "is knocked prone."
+    },
+    knife: {
+        type: EFFECT_TYPES.PERSISTENT,
+        formula: "2d6",
+        damageType: "bleed"
+    },
+    pick: {
+        type: EFFECT_TYPES.DAMAGE,
+        perDie: 4,
+        damageType: "piercing"
+    },
+    polearm: {
+        type: EFFECT_TYPES.CHOICE,
+        text: "The attacker moves the target up to 10 feet in a direction of their choice, staying within reach."
+    },
+    shield: {
+        type: EFFECT_TYPES.PUSH,
+        distance: 10,
+        text: "is knocked back 10 feet."
+    },
+    sling: {
+        type: EFFECT_TYPES.SAVE,
+        save: "fortitude",
+        text: "On a failure it is stunned 1; on a critical failure it is stunned 2."
+    },
+    spear: {
+        type: EFFECT_TYPES.EFFECT,
+        effect: RUNE_EFFECTS.GRIEVOUS_SPEAR,
+        duration: EFFECT_DURATIONS.START_OF_NEXT_TURN,
+        text: "is clumsy 2 until the start of the attacker's next turn."
+    },
+    sword: {
+        type: EFFECT_TYPES.EFFECT,
+        effect: RUNE_EFFECTS.GRIEVOUS_SWORD,
+        duration: EFFECT_DURATIONS.END_OF_NEXT_TURN,
+        text: "is off-guard until the end of the attacker's next turn."
+    }
+};
+
+export class GrievousRuneAutomation extends WeaponRiderAutomation {
+    constructor() {
+        super({
+            slug: "grievous",
+            name: "Grievous Rune",
+            grades: {
+                "standard": {
+                    name: "Grievous Rune"
+                }
+            },
+            triggers: [RUNE_TRIGGERS.ON_CRIT]
+        });
+    }
+
+    /**
+     * Apply the weapon group's enhanced critical specialization effect
+     */
+    async applyRider({ combat, actor, item, token, target }, runeData) {
+        const group = item.system?.group;
+        const effect = GRIEVOUS_EFFECTS[group];
+        if (!effect) {
+            this.log(`${item.name} has no grievous effect for weapon group "${group}"`);
+            return;
+        }
+
+        const groupName = game.i18n.localize(CONFIG.PF2E?.weaponGroups?.[group] ?? group);
+        const cardData = { ...runeData, name: `${runeData.name} (${groupName})` };
+        this.log(`Applying grievous ${group} effect to ${target.name}`);
+
+        switch (effect.type) {
+            case EFFECT_TYPES.CONDITION: {
+                const undo = await this.applyCondition(target.actor, effect.condition, effect.value ?? null);
+                await this.createRiderMessage(cardData, `<p><strong>${target.name}</strong> ${effect.text}</p>`, { undo: [undo], combat });
+                break;
+            }
+            case EFFECT_TYPES.EFFECT: {
+                // These last until the attacker's turn, not the target's
+                const applied = await applyRuneEffect(effect.effect, target.actor, {
+                    token: target,
+                    origin: { actor, token, item },
+                    duration: effect.duration,
+                    turnOf: token
+                });
+                await this.createRiderMessage(
+                    cardData,
+                    `<p><strong>${target.name}</strong> ${effect.text}</p>`,
+                    { undo: applied ? [{ type: UNDO_TYPES.DELETE_ITEM, uuid: applied.uuid }] : [], combat }
+                );
+                break;
+            }
+            case EFFECT_TYPES.PERSISTENT: {
+                const condition = await this.applyPersistentDamage(target.actor, effect.formula, effect.damageType);
+                await this.createRiderMessage(
+                    cardData,
+                    `<p><strong>${target.name}</strong> takes ${effect.formula} persistent ${effect.damageType} damage.</p>`,
+                    { undo: [{ type: UNDO_TYPES.DELETE_ITEM, uuid: condition.uuid }], combat }
+                );
+                break;
+            }
+            case EFFECT_TYPES.DAMAGE: {
+                const dice = item.system?.damage?.dice ?? 1;
+                const roll = await this.rollDamage(`${dice * effect.perDie}`, effect.damageType);
+                const lost = await this.applyDamage(target, roll);
+                await this.createRiderMessage(
+                    cardData,
+                    `<p><strong>${target.name}</strong> takes ${roll.total} extra ${effect.damageType} damage (${effect.perDie} per weapon damage die).</p>`,
+                    { undo: [{ type: UNDO_TYPES.RESTORE_HP, uuid: target.actor.uuid, ...lost }], rolls: [roll], combat }
+                );
+                break;
+            }
+            case EFFECT_TYPES.PUSH:
+                await this.pushTarget(cardData, effect, token, target, combat);
+                break;
+            case EFFECT_TYPES.SAVE:
+                await this.createSaveCard(cardData, effect, actor, target, combat);
+                break;
+            case EFFECT_TYPES.CHOICE: {
+                const dice = item.system?.damage?.dice ?? 1;
+                const damageLink = effect.damage ? `<p>${effect.damage(dice)}</p>` : "";
+                await this.createRiderMessage(cardData, `<p><strong>GM choice:</strong> ${effect.text}</p>${damageLink}`, { combat });
+                break;
+            }
+        }
+    }
+
+    /**
+     * Push the target straight away from the attacker, stopping at walls
+     */
+    async pushTarget(cardData, effect, attackerToken, target, combat = null) {
+        if (!attackerToken) {
+            await this.createRiderMessage(cardData, `<p><strong>GM choice:</strong> ${target.name} ${effect.text}</p>`, { combat });
+            return;
+        }
+
+        const destination = getPushDestination(attackerToken, target, effect.distance);
+        const undo = { type: UNDO_TYPES.RESTORE_POSITION, uuid: target.uuid, x: target.x, y: target.y };
+
+        if (destination.moved > 0) {
+            await target.update({ x: destination.x, y: destination.y }, { animate: true });
+        }
+
+        const wallText = destination.blocked
+            ? ` It slams into a wall after ${destination.moved} feet.`
+            : "";
+        await this.createRiderMessage(
+            cardData,
+            `<p><strong>${target.name}</strong> ${effect.text}${wallText}</p>`,
+            { undo: destination.moved > 0 ? [undo] : [], combat }
+        );
+    }
+
+    /**
+     * Post a card with the save the target must attempt against the attacker's class DC
+     */
+    async createSaveCard(cardData, effect, actor, target, combat = null) {
+        const dc = actor?.classDC?.dc?.value ?? actor?.system?.attributes?.classDC?.value ?? null;
+        const dcParam = dc ? `|dc:${dc}` : "";
+        await this.createRiderMessage(
+            cardData,
+            `<p><strong>${target.name}</strong> must attempt a saving throw against the attacker's class DC. ${effect.text}</p>
+            <p>@Check[${effect.save}${dcParam}|name:${cardData.name}|showDC:all]</p>`,
+            { combat }
+        );
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * PF2E Property Runes - Module Entry Point
+ * Creates the rune registry, registers the bundled rune handlers and
+ * exposes the registry so other modules can add their own runes
+ *
+ * Other modules can register runes once the world is ready:
+ *
+ *   Hooks.on("pf2e-property-runes.registerRunes", (registry) => {
+ *       registry.register({ slug: "my-rune", itemType: "weapon", grades: {...}, triggers: [...], resolve });
+ *   });
+ */
+
+import { MODULE_ID } from "./utils.js";
+import { PropertyRuneHandler, PropertyRuneRegistry, RUNE_TRIGGERS } from "./rune-registry.js";
+import { DreadRuneAutomation } from "./dread-rune.js";
+import { FearsomeRuneAutomation } from "./fearsome-rune.js";
+import { FortificationRuneAutomation } from "./fortification-rune.js";
+import { EnergyResistantRuneAutomation } from "./energy-resistant-rune.js";
+import {
+    CorrosiveRuneAutomation,
+    FlamingRuneAutomation,
+    ShockRuneAutomation,
+    WoundingRuneAutomation
+} from "./weapon-riders.js";
+import { GrievousRuneAutomation } from "./grievous-rune.js";
+import { BaneRuneAutomation, KeenRuneAutomation, VorpalRuneAutomation } from "./roll-runes.js";
+import { EnergyAbsorbingRuneAutomation, InvisibilityRuneAutomation, ReturningRuneAutomation } from "./activated-runes.js";
+import { RuneSocket } from "./socket.js";
+import { RuneAuraLayer } from "./aura-layer.js";
+import { RuneIndicators } from "./rune-indicators.js";
+import { createApi } from "./api.js";
+import { RUNE_SLOTS } from "./slots.js";
+import { ACTIVATION_COSTS } from "./prompts.js";
+import { FREQUENCY_PERIODS } from "./frequency.js";
+
+// Canvas layers have to be registered before the canvas is drawn
+Hooks.once("init", () => {
+    RuneAuraLayer.register();
+});
+
+// Initialize the module when FoundryVTT is ready
+Hooks.on("ready", async () => {
+    const registry = new PropertyRuneRegistry(new RuneSocket());
+    registry.register(new DreadRuneAutomation());
+    registry.register(new FearsomeRuneAutomation());
+    registry.register(new FortificationRuneAutomation());
+    registry.register(new EnergyResistantRuneAutomation());
+    registry.register(new FlamingRuneAutomation());
+    registry.register(new CorrosiveRuneAutomation());
+    registry.register(new ShockRuneAutomation());
+    registry.register(new WoundingRuneAutomation());
+    registry.register(new GrievousRuneAutomation());
+    registry.register(new KeenRuneAutomation());
+    registry.register(new VorpalRuneAutomation());
+    registry.register(new BaneRuneAutomation());
+    registry.register(new ReturningRuneAutomation());
+    registry.register(new InvisibilityRuneAutomation());
+    registry.register(new EnergyAbsorbingRuneAutomation());
+
+    game.modules.get(MODULE_ID).api = {
+        ...createApi(registry),
+        registry,
+        PropertyRuneHandler,
+        RUNE_TRIGGERS,
+        RUNE_SLOTS,
+        ACTIVATION_COSTS,
+        FREQUENCY_PERIODS,
+        registerRune: (definition) => registry.register(definition)
+    };
+
+    // Let other modules add their runes before handlers finish starting up
+    Hooks.callAll(`${MODULE_ID}.registerRunes`, registry);
+
+    new RuneIndicators(registry);
+
+    await registry.migrateSettings();
+
+    for (const handler of registry.handlers.values()) {
+        try {
+            handler.onReady();
+        } catch (error) {
+            console.error(`Error starting ${handler.name ?? handler.slug}:`, error);
+        }
+    }
+
+    // The canvas was drawn before any handler existed
+    canvas.runeAuras?.requestRefresh();
+});
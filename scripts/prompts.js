@@ -0,0 +1,244 @@
+/**
+ * PF2E Property Runes - Activation Prompts
+ * Asks a rune's owner whether to activate it when one of its triggers fires
+ *
+ * The executor sends the owning player a dialog over the module socket. If no
+ * player owns the creature, or the player does not answer in time, the GM is
+ * asked instead. Runes whose uses are exhausted, or whose actions or reaction the
+ * creature no longer has, are not offered. An accepted activation spends the actions
+ * or reaction, marks the rune's frequency on its item and applies the rune's outcome.
+ */
+
+import { MODULE_ID, log, shouldShowChat, createRuneCard } from "./utils.js";
+import { SOCKET_ACTIONS } from "./socket.js";
+import { LOG_EVENTS } from "./combat-log.js";
+
+export const ACTIVATION_COSTS = Object.freeze({
+    FREE: "free",
+    ACTION: "action",
+    TWO_ACTIONS: "two-actions",
+    REACTION: "reaction"
+});
+
+// Actions each cost spends from a creature's turn
+const ACTIONS_SPENT = {
+    [ACTIVATION_COSTS.ACTION]: 1,
+    [ACTIVATION_COSTS.TWO_ACTIONS]: 2
+};
+
+// Actions a creature has on its turn
+const ACTIONS_PER_TURN = 3;
+
+// Action glyphs shown in prompts and chat cards
+const COST_GLYPHS = {
+    [ACTIVATION_COSTS.FREE]: "F",
+    [ACTIVATION_COSTS.ACTION]: "1",
+    [ACTIVATION_COSTS.TWO_ACTIONS]: "2",
+    [ACTIVATION_COSTS.REACTION]: "R"
+};
+
+/**
+ * Get the player who should answer a prompt for an actor, preferring the one whose character it is
+ */
+function getPromptUser(actor) {
+    const owners = game.users.filter(user => user.active && !user.isGM && actor.testUserPermission(user, "OWNER"));
+    return owners.find(user => user.character?.id === actor.id) ?? owners[0] ?? null;
+}
+
+/**
+ * Show a yes/no activation dialog
+ * Resolves to true or false, or null if it timed out
+ */
+function showPrompt({ title, content, timeout }) {
+    return new Promise(resolve => {
+        let timedOut = false;
+        const dialog = new Dialog({
+            title,
+            content,
+            buttons: {
+                use: {
+                    icon: `<i class="fas fa-check"></i>`,
+                    label: game.i18n.localize("PF2E-PROPERTY-RUNES.PROMPTS.USE"),
+                    callback: () => resolve(true)
+                },
+                decline: {
+                    icon: `<i class="fas fa-times"></i>`,
+                    label: game.i18n.localize("PF2E-PROPERTY-RUNES.PROMPTS.DECLINE"),
+                    callback: () => resolve(false)
+                }
+            },
+            default: "use",
+            // Settles only if no button was pressed
+            close: () => resolve(timedOut ? null : false)
+        }, { classes: ["dialog", "pf2e-property-runes-prompt"] });
+
+        setTimeout(() => {
+            timedOut = true;
+            dialog.close();
+        }, timeout);
+        dialog.render(true);
+    });
+}
+
+export class RunePrompts {
+    /**
+     * @param {PropertyRuneRegistry} registry  Registry whose handlers are prompted for
+     */
+    constructor(registry) {
+        this.registry = registry;
+        this.registry.socket.register(SOCKET_ACTIONS.PROMPT, showPrompt);
+        this.initializeSettings();
+    }
+
+    /**
+     * Register the prompt settings
+     */
+    initializeSettings() {
+        game.settings.register(MODULE_ID, "prompt-timeout", {
+            name: "PF2E-PROPERTY-RUNES.SETTINGS.PROMPT_TIMEOUT",
+            hint: "PF2E-PROPERTY-RUNES.SETTINGS.PROMPT_TIMEOUT_HINT",
+            scope: "world",
+            config: true,
+            type: Number,
+            range: { min: 5, max: 120, step: 5 },
+            default: 30
+        });
+    }
+
+    /**
+     * Get the combatant of a token in the trigger's combat, or null
+     */
+    getCombatant(token, combat) {
+        return combat?.combatants.find(combatant => combatant.tokenId === token?.id) ?? null;
+    }
+
+    /**
+     * Whether a token still has its reaction this round
+     * Outside combat reactions are always available
+     */
+    hasReaction(token, combat) {
+        return !this.getCombatant(token, combat)?.getFlag(MODULE_ID, "reactionUsed");
+    }
+
+    /**
+     * Whether a token can pay an activation's actions
+     * In combat actions are only spent on the creature's own turn, out of its 3; outside combat they are always available
+     */
+    hasActions(token, combat, cost) {
+        const combatant = this.getCombatant(token, combat);
+        if (!combatant || !ACTIONS_SPENT[cost]) {
+            return true;
+        }
+        const spent = combatant.getFlag(MODULE_ID, "actionsSpent") ?? 0;
+        return combat.combatant?.id === combatant.id && spent + ACTIONS_SPENT[cost] <= ACTIONS_PER_TURN;
+    }
+
+    /**
+     * Give a combatant its actions and reaction back at the start of its turn
+     */
+    async resetTurn(combatant) {
+        if (combatant?.getFlag(MODULE_ID, "reactionUsed") || combatant?.getFlag(MODULE_ID, "actionsSpent")) {
+            await combatant.update({
+                [`flags.${MODULE_ID}.-=reactionUsed`]: null,
+                [`flags.${MODULE_ID}.-=actionsSpent`]: null
+            });
+        }
+    }
+
+    /**
+     * Spend the actions or reaction an activation costs
+     */
+    async spend(token, combat, cost) {
+        const combatant = this.getCombatant(token, combat);
+        if (!combatant) {
+            return;
+        }
+
+        if (cost === ACTIVATION_COSTS.REACTION) {
+            await combatant.setFlag(MODULE_ID, "reactionUsed", true);
+        } else if (ACTIONS_SPENT[cost]) {
+            const spent = combatant.getFlag(MODULE_ID, "actionsSpent") ?? 0;
+            await combatant.setFlag(MODULE_ID, "actionsSpent", spent + ACTIONS_SPENT[cost]);
+        }
+    }
+
+    /**
+     * Ask whether to activate a rune, then apply it if accepted
+     * Runs on the executor; returns whether the rune was activated
+     * @param {object} [options]
+     * @param {boolean} [options.confirmed]  The owner already chose to activate it, so nobody is asked
+     */
+    async request(handler, context, found, { confirmed = false } = {}) {
+        const { token, actor, combat = null } = context;
+        const cost = handler.activation.cost ?? ACTIVATION_COSTS.FREE;
+        const runeName = found.data?.name ?? handler.name ?? handler.slug;
+
+        const remaining = handler.getRemainingUses(found.item);
+        if (remaining === 0) {
+            handler.record(combat, LOG_EVENTS.REJECTED, `${runeName} on ${found.item.name} has no uses left`);
+            return false;
+        }
+
+        if (cost === ACTIVATION_COSTS.REACTION && !this.hasReaction(token, combat)) {
+            handler.record(combat, LOG_EVENTS.REJECTED, `${token?.name ?? actor.name} has already used their reaction`);
+            return false;
+        }
+
+        if (!this.hasActions(token, combat, cost)) {
+            handler.record(combat, LOG_EVENTS.REJECTED, `${token?.name ?? actor.name} does not have the actions for ${runeName} this turn`);
+            return false;
+        }
+
+        const timeout = game.settings.get(MODULE_ID, "prompt-timeout") * 1000;
+        const usesText = remaining === null
+            ? ""
+            : `<p class="notes">${game.i18n.format("PF2E-PROPERTY-RUNES.PROMPTS.USES_LEFT", { remaining, max: this.registry.frequency.getMaxUses(handler, found.item) })}</p>`;
+        const payload = {
+            title: runeName,
+            content: `<p><span class="action-glyph">${COST_GLYPHS[cost]}</span> ${handler.getPromptText(context, found)}</p>${usesText}`,
+            timeout
+        };
+
+        const player = confirmed ? null : getPromptUser(actor);
+        let accepted = confirmed || null;
+        if (player) {
+            handler.record(combat, LOG_EVENTS.PROMPT, `Asked ${player.name} to use ${runeName} for ${token?.name ?? actor.name}`);
+            // Allow the round trip on top of the player's own timeout
+            accepted = await this.registry.socket.request(player, SOCKET_ACTIONS.PROMPT, payload, { timeout: timeout + 2000 });
+        }
+
+        // Nobody answered, so the GM decides
+        if (accepted === null) {
+            const note = player
+                ? game.i18n.format("PF2E-PROPERTY-RUNES.PROMPTS.NO_ANSWER", { user: player.name })
+                : game.i18n.localize("PF2E-PROPERTY-RUNES.PROMPTS.NO_PLAYER");
+            handler.record(combat, LOG_EVENTS.PROMPT, `${note} Asking the GM instead`);
+            accepted = await showPrompt({ ...payload, content: `${payload.content}<p class="notes">${note}</p>` });
+        }
+
+        if (!accepted) {
+            handler.record(combat, LOG_EVENTS.REJECTED, `${runeName} was not used`);
+            return false;
+        }
+
+        await this.spend(token, combat, cost);
+        if (handler.activation.frequency) {
+            await handler.markUse(found.item);
+        }
+        log(`${token?.name ?? actor.name} activated ${runeName}`);
+        handler.record(combat, LOG_EVENTS.EFFECT, `${token?.name ?? actor.name} used ${runeName}`);
+
+        await handler.activate(context, found);
+
+        if (shouldShowChat()) {
+            await createRuneCard({
+                title: `${runeName} <span class="action-glyph">${COST_GLYPHS[cost]}</span>`,
+                img: found.item.img,
+                body: `<p>${handler.getActivationText(context, found)}</p>`,
+                speaker: ChatMessage.getSpeaker({ actor, token })
+            });
+        }
+
+        return true;
+    }
+}
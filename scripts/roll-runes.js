@@ -0,0 +1,350 @@
+/**
+ * PF2E Property Runes - Roll-Modifying Rune Automation
+ * Keen, vorpal and bane change what a strike's die roll means
+ *
+ * Keen upgrades a hit on a natural 19 to a critical hit before the strike message
+ * is created. Vorpal asks for a Fortitude save against decapitation on a natural
+ * 20 critical hit with a slashing weapon. Bane adds damage against a creature type chosen
+ * on the weapon sheet through an effect on the wielder.
+ */
+
+import { MODULE_ID, RUNE_ICONS, shouldShowChat, createRuneCard } from "./utils.js";
+import { RUNE_TRIGGERS } from "./rune-registry.js";
+import { WeaponRiderAutomation, UNDO_TYPES } from "./weapon-riders.js";
+import { isExecutor } from "./socket.js";
+import { RUNE_EFFECTS, EFFECT_DURATIONS, applyRuneEffect, findRuneEffects } from "./effects.js";
+
+// Creatures that have no head to lose
+const HEADLESS_TRAITS = ["ooze", "swarm"];
+
+/**
+ * Check if a target actor has a creature trait
+ */
+function hasTrait(actor, trait) {
+    return actor?.traits?.has?.(trait) ?? actor?.system?.traits?.value?.includes(trait) ?? false;
+}
+
+export class KeenRuneAutomation extends WeaponRiderAutomation {
+    constructor() {
+        super({
+            slug: "keen",
+            name: "Keen Rune",
+            grades: {
+                "standard": {
+                    name: "Keen Rune",
+                    critRange: 19
+                }
+            },
+            triggers: [],
+            configurableFields: ["critRange"]
+        });
+    }
+
+    /**
+     * A natural 19 that hits with a slashing or piercing keen weapon is a critical hit
+     */
+    adjustOutcome({ token, item, outcome, die }) {
+        if (outcome !== "success" || die === null || !this.isEnabledForToken(token)) {
+            return null;
+        }
+
+        const found = this.findRuneOnItem(item);
+        const damageType = item?.system?.damage?.damageType;
+        if (!found?.data || !["slashing", "piercing"].includes(damageType)) {
+            return null;
+        }
+
+        return die >= found.data.critRange && die < 20 ? "criticalSuccess" : null;
+    }
+}
+
+export class VorpalRuneAutomation extends WeaponRiderAutomation {
+    constructor() {
+        super({
+            slug: "vorpal",
+            name: "Vorpal Rune",
+            grades: {
+                "standard": {
+                    name: "Vorpal Rune",
+                    dc: 37
+                }
+            },
+            triggers: [RUNE_TRIGGERS.ON_CRIT],
+            configurableFields: ["dc"]
+        });
+    }
+
+    /**
+     * Initialize FoundryVTT hooks for the handler
+     */
+    initializeHooks() {
+        // Watch Fortitude saves for pending decapitations
+        Hooks.on("createChatMessage", this.onSaveMessage.bind(this));
+
+        // Forget saves nobody rolled once the turn moves on
+        Hooks.on("updateCombat", this.onCombatUpdate.bind(this));
+    }
+
+    /**
+     * Called when a combat is updated
+     * A decapitation save is rolled on the turn of the critical hit, so it is stale once the turn changes
+     */
+    async onCombatUpdate(combat, change, options, userId) {
+        if (!isExecutor() || !("turn" in change || "round" in change)) {
+            return;
+        }
+
+        for (const combatant of combat.combatants) {
+            if (combatant.actor?.getFlag(MODULE_ID, "vorpalSave")) {
+                this.log(`${combatant.name} did not roll the ${this.name} save before the turn ended`);
+                await combatant.actor.unsetFlag(MODULE_ID, "vorpalSave");
+            }
+        }
+    }
+
+    /**
+     * A natural 20 critical hit makes the target save against decapitation
+     */
+    async applyRider({ combat, target, item, die }, runeData) {
+        if (die !== 20) {
+            return;
+        }
+
+        // Only slashing weapons can be etched with vorpal
+        if (item?.system?.damage?.damageType !== "slashing") {
+            this.log(`${item?.name ?? "The weapon"} does not deal slashing damage; ${runeData.name} has no effect`);
+            return;
+        }
+
+        const targetActor = target.actor;
+        if (HEADLESS_TRAITS.some(trait => hasTrait(targetActor, trait))) {
+            this.log(`${target.name} has no head for ${runeData.name} to sever`);
+            return;
+        }
+
+        await targetActor.setFlag(MODULE_ID, "vorpalSave", { dc: runeData.dc, tokenUuid: target.uuid, combatId: combat?.id ?? null });
+
+        const whisper = ChatMessage.getWhisperRecipients?.("GM")?.map(user => user.id) ?? [];
+        await createRuneCard({
+            title: `${runeData.name} Effect`,
+            img: RUNE_ICONS.WEAPON,
+            body: `<p><strong>${target.name}</strong> must save or be decapitated! Creatures that don't need a head to live are unaffected.</p>
+                    <p>@Check[fortitude|dc:${runeData.dc}|traits:death,magical|name:${runeData.name}|showDC:all]</p>`,
+            // The save must be rolled even when other chat cards are switched off
+            whisper: shouldShowChat() ? [] : whisper
+        });
+    }
+
+    /**
+     * Called when a chat message is created
+     * Resolves pending decapitation saves from their saving throw messages
+     */
+    async onSaveMessage(message, options, userId) {
+        if (!isExecutor()) {
+            return;
+        }
+
+        const context = message.flags?.pf2e?.context;
+        const actor = message.actor;
+        const pendingSave = actor?.getFlag(MODULE_ID, "vorpalSave");
+        if (context?.type !== "saving-throw" || !pendingSave) {
+            return;
+        }
+
+        const isFortitudeSave = context.domains?.includes("fortitude") ?? true;
+        if (!isFortitudeSave || context.dc?.value !== pendingSave.dc) {
+            return;
+        }
+
+        await actor.unsetFlag(MODULE_ID, "vorpalSave");
+        if (context.outcome === "failure" || context.outcome === "criticalFailure") {
+            await this.decapitate(fromUuidSync(pendingSave.tokenUuid), actor, game.combats.get(pendingSave.combatId) ?? null);
+        }
+    }
+
+    /**
+     * Kill a creature that failed its save against vorpal
+     */
+    async decapitate(token, actor, combat = null) {
+        const runeData = this.getGradeData("standard");
+        const hp = actor.system.attributes.hp;
+        const lost = { hp: hp.value, temp: hp.temp ?? 0 };
+
+        await actor.update({ "system.attributes.hp.value": 0, "system.attributes.hp.temp": 0 });
+        await actor.toggleStatusEffect?.("dead", { active: true, overlay: true });
+        this.log(`${token?.name ?? actor.name} was decapitated by ${runeData.name}`);
+
+        await this.createRiderMessage(
+            runeData,
+            `<p><strong>${token?.name ?? actor.name}</strong> failed the Fortitude save and is decapitated!</p>`,
+            {
+                undo: [
+                    { type: UNDO_TYPES.RESTORE_HP, uuid: actor.uuid, ...lost },
+                    { type: UNDO_TYPES.REMOVE_STATUS, uuid: actor.uuid, status: "dead" }
+                ],
+                combat
+            }
+        );
+    }
+}
+
+export class BaneRuneAutomation extends WeaponRiderAutomation {
+    constructor() {
+        super({
+            slug: "bane",
+            name: "Bane Rune",
+            grades: {
+                "standard": {
+                    name: "Bane Rune",
+                    dice: 1,
+                    enfeebled: 1
+                }
+            },
+            triggers: [RUNE_TRIGGERS.ON_CRIT],
+            configurableFields: ["dice", "enfeebled"]
+        });
+    }
+
+    /**
+     * Initialize FoundryVTT hooks for the handler
+     */
+    initializeHooks() {
+        // Creature type picker on the weapon sheet
+        Hooks.on("renderItemSheet", this.onRenderItemSheet.bind(this));
+
+        // Keep the wielder's bane damage effects in line with the rune and chosen type
+        Hooks.on("createItem", this.onWeaponChanged.bind(this));
+        Hooks.on("updateItem", this.onWeaponChanged.bind(this));
+        Hooks.on("deleteItem", this.onWeaponChanged.bind(this));
+    }
+
+    /**
+     * Called once the world is ready
+     */
+    onReady() {
+        if (!isExecutor()) {
+            return;
+        }
+
+        this.queueSyncAll(actor => actor.itemTypes?.weapon?.length);
+    }
+
+    /**
+     * Get the creature type a bane weapon is attuned to, or null
+     */
+    getBaneType(item) {
+        return item?.getFlag(MODULE_ID, "baneType") ?? null;
+    }
+
+    /**
+     * Called when an item sheet is rendered
+     * Adds a creature type picker to weapons with a bane rune
+     */
+    onRenderItemSheet(app, html) {
+        const item = app.item ?? app.document;
+        if (item?.type !== "weapon" || !this.findRuneOnItem(item)) {
+            return;
+        }
+
+        const element = html instanceof HTMLElement ? html : html[0];
+        const container = element?.querySelector(".tab[data-tab='details']") ?? element?.querySelector("form");
+        if (!container || container.querySelector(".pf2e-property-runes-bane")) {
+            return;
+        }
+
+        const current = this.getBaneType(item);
+        const creatureTypes = CONFIG.PF2E?.creatureTypes ?? {};
+        const options = Object.entries(creatureTypes)
+            .map(([type, label]) => `<option value="${type}" ${type === current ? "selected" : ""}>${game.i18n.localize(label)}</option>`)
+            .join("");
+
+        const group = document.createElement("div");
+        group.classList.add("form-group", "pf2e-property-runes-bane");
+        group.innerHTML = `<label>${game.i18n.localize("PF2E-PROPERTY-RUNES.BANE.CREATURE_TYPE")}</label>
+            <select ${app.isEditable ? "" : "disabled"}>
+                <option value="">—</option>
+                ${options}
+            </select>`;
+        container.prepend(group);
+
+        group.querySelector("select").addEventListener("change", async (event) => {
+            const value = event.target.value;
+            if (value) {
+                await item.setFlag(MODULE_ID, "baneType", value);
+            } else {
+                await item.unsetFlag(MODULE_ID, "baneType");
+            }
+        });
+    }
+
+    /**
+     * Called when an item is created, updated or deleted
+     */
+    onWeaponChanged(item, ...args) {
+        if (!isExecutor() || item.type !== "weapon" || !item.actor) {
+            return;
+        }
+        this.queueSync(item.actor);
+    }
+
+    /**
+     * Give each attuned bane weapon an effect adding its damage dice against the chosen type
+     */
+    async syncEffects(actor) {
+        const effects = findRuneEffects(actor, RUNE_EFFECTS.BANE_WEAPON);
+
+        for (const item of actor.itemTypes.weapon) {
+            const found = this.findRuneOnItem(item);
+            const baneType = found?.data ? this.getBaneType(item) : null;
+            const effect = effects.find(effect => effect.getFlag(MODULE_ID, "weaponId") === item.id);
+
+            const current = effect
+                && effect.getFlag(MODULE_ID, "baneType") === baneType
+                && effect.getFlag(MODULE_ID, "dice") === found?.data?.dice;
+            if (effect && !current) {
+                await effect.delete();
+            } else if (effect || !baneType) {
+                continue;
+            }
+
+            if (baneType) {
+                this.log(`Applying bane damage against ${baneType} to ${item.name}`);
+                await applyRuneEffect(RUNE_EFFECTS.BANE_WEAPON, actor, {
+                    origin: { actor, item },
+                    duration: EFFECT_DURATIONS.UNLIMITED,
+                    badge: found.data.dice,
+                    flags: { weaponId: item.id, baneType, dice: found.data.dice },
+                    replace: false
+                });
+            }
+        }
+
+        // Weapons that left the actor take their effect with them
+        for (const effect of effects) {
+            if (!actor.items.has(effect.getFlag(MODULE_ID, "weaponId"))) {
+                await effect.delete();
+            }
+        }
+    }
+
+    /**
+     * Critical hits against the chosen creature type enfeeble the target until the end of its next turn
+     */
+    async applyRider({ combat, actor, token, item, target }, runeData) {
+        const baneType = this.getBaneType(item);
+        if (!baneType || !hasTrait(target.actor, baneType)) {
+            return;
+        }
+
+        const effect = await applyRuneEffect(RUNE_EFFECTS.BANE, target.actor, {
+            token: target,
+            origin: { actor, token, item },
+            badge: runeData.enfeebled
+        });
+        await this.createRiderMessage(
+            runeData,
+            `<p><strong>${target.name}</strong> is struck by the bane and is enfeebled ${runeData.enfeebled} until the end of its next turn.</p>`,
+            { undo: effect ? [{ type: UNDO_TYPES.DELETE_ITEM, uuid: effect.uuid }] : [], combat }
+        );
+    }
+}
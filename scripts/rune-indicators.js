@@ -0,0 +1,185 @@
+/**
+ * PF2E Property Runes - Sheet and Token HUD Indicators
+ * Shows which property runes the module recognised and lets them be switched off per token
+ *
+ * Inventory rows on actor sheets get a badge for every automated rune with its grade
+ * and, for runes with a limited frequency, the uses left. The Token HUD gets a button
+ * listing the token's rune automations, each with a toggle stored as a flag on the
+ * token and an Activate button for runes that are only activated by hand.
+ */
+
+import { MODULE_ID } from "./utils.js";
+import { fitsSlot } from "./slots.js";
+import { SOCKET_ACTIONS } from "./socket.js";
+
+export class RuneIndicators {
+    /**
+     * @param {PropertyRuneRegistry} registry  Registry whose handlers are shown
+     */
+    constructor(registry) {
+        this.registry = registry;
+        this.initializeHooks();
+    }
+
+    /**
+     * Initialize FoundryVTT hooks for the indicators
+     */
+    initializeHooks() {
+        Hooks.on("renderActorSheet", this.onRenderActorSheet.bind(this));
+        Hooks.on("renderTokenHUD", this.onRenderTokenHUD.bind(this));
+    }
+
+    /**
+     * Get every automated rune on an item as { handler, grade, data }
+     */
+    getItemRunes(item) {
+        const runes = [];
+        for (const handler of this.registry.handlers.values()) {
+            if (!handler.slots.some(slot => fitsSlot(item, slot))) {
+                continue;
+            }
+
+            const found = handler.findRuneOnItem(item);
+            if (found?.data) {
+                runes.push({ handler, item, grade: found.grade, data: found.data });
+            }
+        }
+        return runes;
+    }
+
+    /**
+     * Get every automated rune active on an actor's worn, held and wielded items as { handler, item, data }
+     */
+    getActiveRunes(actor) {
+        const runes = [];
+        for (const handler of this.registry.handlers.values()) {
+            const found = handler.findRune(actor);
+            if (found?.data) {
+                runes.push({ handler, item: found.item, data: found.data });
+            }
+        }
+        return runes;
+    }
+
+    /**
+     * Get the uses left of a rune on an item as "remaining/max", or an empty string if it is unlimited
+     */
+    getUsesText(handler, item) {
+        const remaining = handler.getRemainingUses(item);
+        if (remaining === null) {
+            return "";
+        }
+        return game.i18n.format("PF2E-PROPERTY-RUNES.INDICATORS.USES", {
+            remaining,
+            max: this.registry.frequency.getMaxUses(handler, item)
+        });
+    }
+
+    /**
+     * Called when an actor sheet is rendered
+     * Adds a badge to each inventory row holding an automated rune
+     */
+    onRenderActorSheet(app, html) {
+        const actor = app.actor;
+        const element = html instanceof HTMLElement ? html : html[0];
+        if (!actor || !element) {
+            return;
+        }
+
+        for (const row of element.querySelectorAll("[data-item-id]")) {
+            const item = actor.items.get(row.dataset.itemId);
+            if (!item || row.querySelector(".pf2e-property-runes-badge")) {
+                continue;
+            }
+
+            const runes = this.getItemRunes(item);
+            if (!runes.length) {
+                continue;
+            }
+
+            const anchor = row.querySelector(".item-name h4, .item-name") ?? row;
+            for (const { handler, data } of runes) {
+                const usesText = this.getUsesText(handler, item);
+                const badge = document.createElement("span");
+                badge.classList.add("pf2e-property-runes-badge");
+                badge.classList.toggle("disabled", !handler.isEnabled());
+                badge.classList.toggle("exhausted", handler.getRemainingUses(item) === 0);
+                badge.dataset.tooltip = game.i18n.localize("PF2E-PROPERTY-RUNES.INDICATORS.BADGE_TOOLTIP");
+                badge.innerHTML = `<i class="fas fa-gem"></i> ${data.name ?? handler.name ?? handler.slug}`
+                    + (usesText ? ` <span class="uses">${usesText}</span>` : "");
+                anchor.append(badge);
+            }
+        }
+    }
+
+    /**
+     * Called when the Token HUD is rendered
+     * Adds a button that opens the token's rune automation toggles
+     */
+    onRenderTokenHUD(hud, html) {
+        const token = hud.object?.document;
+        const element = html instanceof HTMLElement ? html : html[0];
+        const column = element?.querySelector(".col.right");
+        if (!token?.actor || !column || !token.isOwner) {
+            return;
+        }
+
+        const runes = this.getActiveRunes(token.actor);
+        if (!runes.length) {
+            return;
+        }
+
+        const button = document.createElement("div");
+        button.classList.add("control-icon", "pf2e-property-runes-hud-button");
+        button.dataset.tooltip = game.i18n.localize("PF2E-PROPERTY-RUNES.INDICATORS.HUD_TITLE");
+        button.innerHTML = `<i class="fas fa-gem"></i>`;
+
+        const panel = document.createElement("div");
+        panel.classList.add("pf2e-property-runes-hud");
+        panel.innerHTML = `<h4>${game.i18n.localize("PF2E-PROPERTY-RUNES.INDICATORS.HUD_TITLE")}</h4>`
+            + runes.map(({ handler, item, data }) => {
+                const usesText = this.getUsesText(handler, item);
+                // Runes without a trigger are only ever activated from here
+                const activatable = handler.activation && !handler.triggers.length;
+                return `
+                <label class="pf2e-property-runes-hud-entry ${handler.isEnabled() ? "" : "disabled"}">
+                    <input type="checkbox" data-slug="${handler.slug}" ${handler.isEnabledForToken(token) ? "checked" : ""}>
+                    <span>${data.name ?? handler.name ?? handler.slug}</span>
+                    <span class="item">${item.name}${usesText ? ` (${usesText})` : ""}</span>
+                    ${activatable ? `<button type="button" data-action="activate" data-slug="${handler.slug}" ${handler.getRemainingUses(item) === 0 ? "disabled" : ""}>${game.i18n.localize("PF2E-PROPERTY-RUNES.INDICATORS.ACTIVATE")}</button>` : ""}
+                </label>`;
+            }).join("");
+
+        button.append(panel);
+        column.append(button);
+
+        button.addEventListener("click", (event) => {
+            if (!panel.contains(event.target)) {
+                button.classList.toggle("active");
+            }
+        });
+
+        for (const checkbox of panel.querySelectorAll("input[type='checkbox']")) {
+            checkbox.addEventListener("change", async (event) => {
+                const { slug } = event.target.dataset;
+                if (event.target.checked) {
+                    await token.unsetFlag(MODULE_ID, `disabledRunes.${slug}`);
+                } else {
+                    await token.setFlag(MODULE_ID, `disabledRunes.${slug}`, true);
+                }
+            });
+        }
+
+        for (const activate of panel.querySelectorAll("[data-action='activate']")) {
+            activate.addEventListener("click", async (event) => {
+                event.preventDefault();
+                activate.disabled = true;
+                await this.registry.socket.execute(SOCKET_ACTIONS.ACTIVATE, {
+                    tokenUuid: token.uuid,
+                    slug: activate.dataset.slug
+                });
+                hud.close?.();
+            });
+        }
+    }
+}
@@ -0,0 +1,969 @@
+/**
+ * PF2E Property Runes - Rune Registry
+ * Holds every registered property rune handler and routes PF2E events to them
+ *
+ * A rune definition declares its slug, the item type it lives on, its grades
+ * (DC, range and any other parameters), the triggers it listens to and a
+ * resolve() function. Handlers may be PropertyRuneHandler subclasses or plain
+ * definition objects, which are wrapped in a PropertyRuneHandler.
+ */
+
+import { MODULE_ID, CHAT_VERBOSITY, log, getRuneSlug } from "./utils.js";
+import { VISIBILITY_MODES } from "./visibility.js";
+import { SOCKET_ACTIONS, isExecutor } from "./socket.js";
+import { CombatLog, LOG_EVENTS } from "./combat-log.js";
+import { RUNE_SLOTS, getSlotItems } from "./slots.js";
+import { RunePrompts } from "./prompts.js";
+import { FrequencyTracker } from "./frequency.js";
+import { RuneConfigMenu } from "./config-menu.js";
+import { RuneDiagnostics } from "./diagnostics.js";
+
+export const RUNE_TRIGGERS = Object.freeze({
+    END_OF_TURN: "end-of-turn",
+    ON_HIT: "on-hit",
+    ON_CRIT: "on-crit",
+    ON_DAMAGE_TAKEN: "on-damage-taken",
+    ON_STRIKE: "on-strike"
+});
+
+export const RUNE_ITEM_TYPES = Object.freeze(["armor", "weapon", "shield"]);
+
+export class PropertyRuneHandler {
+    /**
+     * @param {object} definition
+     * @param {string} definition.slug        Rune slug, e.g. "dread"
+     * @param {string} definition.name        Display name
+     * @param {string} definition.itemType    "armor", "weapon" or "shield"
+     * @param {string[]} [definition.slots]   RUNE_SLOTS scanned for the rune, the item type's slot by default
+     * @param {object} definition.grades      Grade key → parameters (dc, range, ...); the first key is the default grade
+     * @param {string[]} definition.triggers  RUNE_TRIGGERS this rune listens to
+     * @param {Function} [definition.resolve] Called with the trigger context when one of the triggers fires
+     * @param {string[]} [definition.configurableFields] Grade parameters the configuration menu can override
+     * @param {string} [definition.enableSetting] World setting toggling this rune, "enable-<slug>" by default
+     * @param {boolean} [definition.emanation] Whether the rune is an emanation drawn on the aura layer
+     * @param {object} [definition.runeSlugs] PF2E property rune slug → grade, e.g. { dread: "lesser", greaterDread: "greater" };
+     *                                        by default the first grade is the rune's slug and the others are prefixed with their grade
+     * @param {object} [definition.activation] For runes the owner activates when a trigger fires:
+     *                                        { cost: ACTIVATION_COSTS value, frequency: { max, per: FREQUENCY_PERIODS value } };
+     *                                        a grade's "uses" parameter overrides the frequency's max. Runes without
+     *                                        triggers are activated from the Token HUD
+     */
+    constructor(definition) {
+        Object.assign(this, definition);
+        this.grades = this.grades ?? {};
+        this.triggers = this.triggers ?? [];
+        this.configurableFields = this.configurableFields ?? ["dc", "range"];
+        this.enableSetting = this.enableSetting ?? `enable-${this.slug}`;
+        this.emanation = this.emanation ?? false;
+        this.slots = this.slots ?? [this.itemType];
+        this.activation = this.activation ?? null;
+        this.runeSlugs = this.runeSlugs ?? getDefaultRuneSlugs(this.slug, Object.keys(this.grades));
+
+        // Actor UUID → { item, rune, grade } or null, cleared when the actor's items change
+        this.runeCache = new Map();
+
+        // Actor UUID → the effect sync running for it, see queueSync
+        this.syncQueue = new Map();
+    }
+
+    /**
+     * Log messages with debug mode support
+     */
+    log(message, data = null) {
+        log(message, data);
+    }
+
+    /**
+     * Add an entry for this rune to a combat's automation log
+     */
+    record(combat, event, message) {
+        this.registry?.combatLog.record(combat, { rune: this.slug, event, message });
+    }
+
+    /**
+     * Whether automation for this rune is currently switched on
+     */
+    isEnabled() {
+        return game.settings.get(MODULE_ID, this.enableSetting);
+    }
+
+    /**
+     * Whether automation for this rune is switched on for a specific token
+     * Tokens can opt out from the Token HUD
+     */
+    isEnabledForToken(token) {
+        return !token?.getFlag?.(MODULE_ID, `disabledRunes.${this.slug}`);
+    }
+
+    /**
+     * Get the parameters for a grade with any configured overrides applied
+     */
+    getGradeData(grade) {
+        const data = this.grades[grade];
+        if (!data) {
+            return null;
+        }
+
+        const overrides = game.settings.get(MODULE_ID, "grade-overrides")?.[this.slug]?.[grade] ?? {};
+        return { ...data, ...overrides };
+    }
+
+    /**
+     * Register any settings the handler needs
+     */
+    initializeSettings() {}
+
+    /**
+     * Register any hooks the handler needs beyond its registry triggers
+     */
+    initializeHooks() {}
+
+    /**
+     * Called once the world is ready and the handler is registered
+     */
+    onReady() {}
+
+    /**
+     * Bring the effects a rune keeps on an actor in line with its items
+     * Runes that manage lasting effects implement this and call queueSync when items change
+     */
+    async syncEffects(actor) {}
+
+    /**
+     * Sync an actor's effects after any sync already running for it
+     * Hooks often fire together for one change, and overlapping syncs would create duplicate effects
+     */
+    queueSync(actor) {
+        const key = actor.uuid;
+        const previous = this.syncQueue.get(key) ?? Promise.resolve();
+        const next = previous
+            .then(() => this.syncEffects(actor))
+            .catch(error => console.error(`Error syncing ${this.name ?? this.slug} for ${actor.name}:`, error))
+            .finally(() => {
+                if (this.syncQueue.get(key) === next) {
+                    this.syncQueue.delete(key);
+                }
+            });
+        this.syncQueue.set(key, next);
+        return next;
+    }
+
+    /**
+     * Queue a sync for every actor in the world that passes a filter
+     * The actors of unlinked tokens are included, as each has its own copy of the items
+     */
+    queueSyncAll(filter = () => true) {
+        const tokenActors = game.scenes.contents.flatMap(scene =>
+            scene.tokens.filter(token => !token.actorLink && token.actor).map(token => token.actor)
+        );
+        for (const actor of [...game.actors.contents, ...tokenActors]) {
+            if (filter(actor)) {
+                this.queueSync(actor);
+            }
+        }
+    }
+
+    /**
+     * Resolve the rune's effect for a fired trigger
+     * Activated runes ask their owner first
+     */
+    async resolve(context) {
+        if (!this.activation) {
+            return;
+        }
+
+        const found = context.item ? this.findRuneOnItem(context.item) : this.findRune(context.actor);
+        if (!found?.data || !this.isEnabledForToken(context.token) || !this.canActivate(context, found)) {
+            return;
+        }
+
+        // Not awaited, so a prompt waiting on its owner does not hold up other runes on the same trigger
+        this.registry.prompts.request(this, context, found)
+            .catch(error => console.error(`Error activating ${found.data.name ?? this.name}:`, error));
+    }
+
+    /**
+     * Whether an activated rune can be used for a fired trigger
+     */
+    canActivate(context, found) {
+        return true;
+    }
+
+    /**
+     * Get the question put to the owner of an activated rune
+     */
+    getPromptText(context, found) {
+        return `Use ${found.data.name ?? this.name} now?`;
+    }
+
+    /**
+     * Get the chat card text for an activation
+     */
+    getActivationText(context, found) {
+        return `<strong>${context.token?.name ?? context.actor.name}</strong> activates ${found.data.name ?? this.name}.`;
+    }
+
+    /**
+     * Apply the outcome of an accepted activation
+     */
+    async activate(context, found) {}
+
+    /**
+     * Get how many times this rune on an item has been activated in the current period
+     */
+    getUses(item) {
+        return this.registry.frequency.getUsage(item, this.slug).used;
+    }
+
+    /**
+     * Get the uses this rune on an item has left, or null if its activation is unlimited
+     */
+    getRemainingUses(item) {
+        return this.registry.frequency.getRemainingUses(this, item);
+    }
+
+    /**
+     * Count an activation of this rune against its frequency
+     */
+    async markUse(item) {
+        await this.registry.frequency.markUse(this, item);
+    }
+
+    /**
+     * Build the decision tree for this rune and a token, for diagnostics
+     * Each step is { label, passed, detail, children?, alternative? }
+     * Alternative steps are options only one of which has to pass, and do not fail the tree themselves
+     */
+    explain(token, scene = token.parent) {
+        const found = this.findRune(token.actor);
+        return [
+            { label: "Automation enabled", passed: this.isEnabled(), detail: this.enableSetting },
+            { label: "Enabled for token", passed: this.isEnabledForToken(token), detail: token.name },
+            {
+                label: "Rune equipped",
+                passed: !!found,
+                detail: found ? `${found.data?.name ?? found.grade} on ${found.item.name}` : `nothing in the ${this.slots.join(", ")} slots has this rune`
+            }
+        ];
+    }
+
+    /**
+     * Get the tokens an emanation wearer is currently affecting, highlighted on the aura layer
+     */
+    getAuraHighlights(wearerToken, runeData) {
+        return [];
+    }
+
+    /**
+     * Change the degree of success of a strike before its message is created
+     * Runs synchronously on the attacking client; return the new outcome or null to leave it
+     */
+    adjustOutcome(context) {
+        return null;
+    }
+
+    /**
+     * Revert something the rune did, from the data stored with an undo chat card
+     */
+    async undo(data, message) {}
+
+    /**
+     * Get the items in use in every slot this rune cares about
+     */
+    getRuneItems(actor) {
+        return [...new Set(this.slots.flatMap(slot => getSlotItems(actor, slot)))];
+    }
+
+    /**
+     * Get the configured name aliases for this rune as alias → grade
+     */
+    getAliases() {
+        return game.settings.get(MODULE_ID, "rune-aliases")?.[this.slug] ?? {};
+    }
+
+    /**
+     * Get the grade key a single property rune entry matches, or null if it is not this rune
+     * Entries are matched on their PF2E slug; names only match through the configured aliases
+     */
+    matchRune(rune) {
+        const slug = typeof rune === "string" ? rune : rune?.slug;
+        if (slug && slug in this.runeSlugs) {
+            return this.runeSlugs[slug];
+        }
+
+        const name = getRuneSlug(rune);
+        for (const [alias, grade] of Object.entries(this.getAliases())) {
+            if (name && getRuneSlug(alias) === name && grade in this.grades) {
+                return grade;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find this rune on a specific item
+     * Returns { item, rune, grade, data } or null
+     */
+    findRuneOnItem(item) {
+        const propertyRunes = item?.system?.runes?.property;
+        if (!propertyRunes) {
+            return null;
+        }
+
+        for (const rune of propertyRunes) {
+            const grade = this.matchRune(rune);
+            if (grade) {
+                return { item, rune, grade, data: this.getGradeData(grade) };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find this rune on any of an actor's equipped items
+     * Returns { item, rune, grade, data } or null; detection is cached per actor
+     */
+    findRune(actor) {
+        if (!actor) {
+            return null;
+        }
+
+        if (!this.runeCache.has(actor.uuid)) {
+            this.runeCache.set(actor.uuid, this.detectRune(actor));
+        }
+
+        // Grade data is looked up fresh so configured overrides apply straight away
+        const found = this.runeCache.get(actor.uuid);
+        return found ? { ...found, data: this.getGradeData(found.grade) } : null;
+    }
+
+    /**
+     * Search an actor's equipped items for this rune, bypassing the cache
+     * Returns { item, rune, grade } or null
+     */
+    detectRune(actor) {
+        for (const item of this.getRuneItems(actor)) {
+            const found = this.findRuneOnItem(item);
+            if (found) {
+                return { item: found.item, rune: found.rune, grade: found.grade };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Forget cached detection results for an actor, or for every actor
+     */
+    clearRuneCache(actor = null) {
+        if (actor) {
+            this.runeCache.delete(actor.uuid);
+        } else {
+            this.runeCache.clear();
+        }
+    }
+
+    /**
+     * Check if an actor has this rune equipped
+     */
+    hasRune(actor) {
+        return !!this.findRune(actor);
+    }
+
+    /**
+     * Get the grade data for an actor's equipped rune
+     */
+    getRuneData(actor) {
+        return this.findRune(actor)?.data ?? null;
+    }
+
+    /**
+     * Get all tokens in the scene whose actor has this rune equipped
+     * Each token is checked on its own so unlinked tokens are kept apart
+     */
+    getRuneTokens(scene) {
+        const runeTokens = [];
+        const requireCombatant = game.settings.get(MODULE_ID, "wearers-in-combat");
+
+        for (const token of scene.tokens) {
+            if (requireCombatant && !isTokenInCombat(token)) {
+                continue;
+            }
+            if (!this.isEnabledForToken(token)) {
+                continue;
+            }
+            if (token.actor && this.hasRune(token.actor)) {
+                runeTokens.push(token);
+            }
+        }
+
+        return runeTokens;
+    }
+}
+
+const DEGREES_OF_SUCCESS = ["criticalFailure", "failure", "success", "criticalSuccess"];
+
+/**
+ * Build the default PF2E slug → grade table for a rune, e.g. "fortification" and "greaterFortification"
+ */
+function getDefaultRuneSlugs(slug, grades) {
+    const base = slug.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    const [defaultGrade, ...otherGrades] = grades;
+    const runeSlugs = defaultGrade ? { [base]: defaultGrade } : {};
+    for (const grade of otherGrades) {
+        runeSlugs[`${grade}${base.charAt(0).toUpperCase()}${base.slice(1)}`] = grade;
+    }
+    return runeSlugs;
+}
+
+/**
+ * Change the degree of success of a strike message that is about to be created
+ * The roll, context and flavor all show the new outcome, with a note saying which rune changed it
+ * @param {ChatMessage} message  Strike message in preCreateChatMessage
+ * @param {string} outcome       New degree of success, e.g. "criticalSuccess"
+ * @param {object} adjustment
+ * @param {string} adjustment.slug   Slug of the rune making the change
+ * @param {string} adjustment.label  Name shown in the flavor
+ * @param {string} [adjustment.note] Text shown after the outcome, e.g. a flat check result
+ */
+export function setStrikeOutcome(message, outcome, { slug, label, note = "" }) {
+    const roll = message.rolls[0];
+    const from = message.flags.pf2e.context.outcome;
+    roll.options.degreeOfSuccess = DEGREES_OF_SUCCESS.indexOf(outcome);
+    message.updateSource({
+        rolls: [JSON.stringify(roll.toJSON()), ...message._source.rolls.slice(1)],
+        flavor: `${message.flavor ?? ""}<p class="pf2e-property-runes-adjustment"><strong>${label}:</strong> ${game.i18n.localize(`PF2E.Check.Result.Degree.Attack.${outcome}`)}${note ? ` (${note})` : ""}</p>`,
+        "flags.pf2e.context.outcome": outcome,
+        [`flags.${MODULE_ID}.outcomeAdjustment`]: { slug, from, to: outcome }
+    });
+}
+
+/**
+ * Get the natural d20 result of a check roll
+ */
+function getNaturalRoll(roll) {
+    return roll.dice?.find(die => die.faces === 20)?.total ?? null;
+}
+
+/**
+ * Get the combat a token is a combatant in, or null
+ * Matched on the token's scene as well, since game.combat is only the viewed encounter
+ */
+function getTokenCombat(token) {
+    return game.combats.find(combat =>
+        combat.combatants.some(combatant => combatant.tokenId === token?.id && combatant.sceneId === token.parent?.id)
+    ) ?? null;
+}
+
+/**
+ * Check if a token is a combatant in any combat
+ */
+function isTokenInCombat(token) {
+    return !!getTokenCombat(token);
+}
+
+export class PropertyRuneRegistry {
+    /**
+     * @param {RuneSocket} socket  Socket used to reach the GM executor
+     */
+    constructor(socket) {
+        this.handlers = new Map();
+        this.socket = socket;
+        this.combatLog = new CombatLog();
+        this.prompts = new RunePrompts(this);
+        this.frequency = new FrequencyTracker(this);
+        this.socket.register(SOCKET_ACTIONS.END_TURN, this.onEndTurn.bind(this));
+        this.socket.register(SOCKET_ACTIONS.START_TURN, this.onStartTurn.bind(this));
+        this.socket.register(SOCKET_ACTIONS.ACTIVATE, this.onActivate.bind(this));
+        this.socket.register(SOCKET_ACTIONS.UNDO, this.onUndo.bind(this));
+        this.socket.register(SOCKET_ACTIONS.FORCE_TRIGGER, this.onForceTrigger.bind(this));
+        this.initializeSettings();
+        this.initializeHooks();
+    }
+
+    /**
+     * Register settings shared by every rune handler
+     */
+    initializeSettings() {
+        game.settings.registerMenu(MODULE_ID, "rune-config-menu", {
+            name: "PF2E-PROPERTY-RUNES.CONFIG.MENU_NAME",
+            label: "PF2E-PROPERTY-RUNES.CONFIG.MENU_LABEL",
+            hint: "PF2E-PROPERTY-RUNES.CONFIG.MENU_HINT",
+            icon: "fas fa-gem",
+            type: RuneConfigMenu,
+            restricted: true
+        });
+
+        game.settings.registerMenu(MODULE_ID, "rune-diagnostics", {
+            name: "PF2E-PROPERTY-RUNES.DIAGNOSTICS.MENU_NAME",
+            label: "PF2E-PROPERTY-RUNES.DIAGNOSTICS.MENU_LABEL",
+            hint: "PF2E-PROPERTY-RUNES.DIAGNOSTICS.MENU_HINT",
+            icon: "fas fa-stethoscope",
+            type: RuneDiagnostics,
+            restricted: true
+        });
+
+        // The following are edited from the rune configuration menu
+        game.settings.register(MODULE_ID, "chat-verbosity", {
+            name: "PF2E-PROPERTY-RUNES.SETTINGS.CHAT_VERBOSITY",
+            hint: "PF2E-PROPERTY-RUNES.SETTINGS.CHAT_VERBOSITY_HINT",
+            scope: "world",
+            config: false,
+            type: String,
+            choices: {
+                [CHAT_VERBOSITY.NONE]: "PF2E-PROPERTY-RUNES.SETTINGS.CHAT_VERBOSITY_NONE",
+                [CHAT_VERBOSITY.ESSENTIAL]: "PF2E-PROPERTY-RUNES.SETTINGS.CHAT_VERBOSITY_ESSENTIAL",
+                [CHAT_VERBOSITY.FULL]: "PF2E-PROPERTY-RUNES.SETTINGS.CHAT_VERBOSITY_FULL"
+            },
+            default: CHAT_VERBOSITY.FULL,
+            onChange: (value) => {
+                log(`Chat verbosity set to ${value}`);
+            }
+        });
+
+        game.settings.register(MODULE_ID, "wearers-in-combat", {
+            name: "PF2E-PROPERTY-RUNES.SETTINGS.WEARERS_IN_COMBAT",
+            hint: "PF2E-PROPERTY-RUNES.SETTINGS.WEARERS_IN_COMBAT_HINT",
+            scope: "world",
+            config: false,
+            type: Boolean,
+            default: false,
+            onChange: (value) => {
+                log(`Wearers ${value ? 'must' : 'need not'} be in the combat tracker`);
+            }
+        });
+
+        // Slug → grade → parameter overrides, e.g. { dread: { lesser: { dc: 22 } } }
+        game.settings.register(MODULE_ID, "grade-overrides", {
+            scope: "world",
+            config: false,
+            type: Object,
+            default: {}
+        });
+
+        // Slug → rune name → grade, for runes without a PF2E slug, e.g. { dread: { "Dreadful": "lesser" } }
+        game.settings.register(MODULE_ID, "rune-aliases", {
+            scope: "world",
+            config: false,
+            type: Object,
+            default: {},
+            onChange: () => {
+                this.clearRuneCache();
+            }
+        });
+
+        game.settings.register(MODULE_ID, "debug-mode", {
+            name: "Debug Mode",
+            hint: "Enable detailed console logging for troubleshooting",
+            scope: "world",
+            config: true,
+            type: Boolean,
+            default: true, // Changed to true by default for debugging
+            onChange: (value) => {
+                log(`Debug mode ${value ? 'enabled' : 'disabled'}`);
+            }
+        });
+
+        game.settings.register(MODULE_ID, "line-of-sight", {
+            name: "PF2E-PROPERTY-RUNES.SETTINGS.LINE_OF_SIGHT",
+            hint: "PF2E-PROPERTY-RUNES.SETTINGS.LINE_OF_SIGHT_HINT",
+            scope: "world",
+            config: true,
+            type: String,
+            choices: {
+                [VISIBILITY_MODES.STRICT]: "PF2E-PROPERTY-RUNES.SETTINGS.LINE_OF_SIGHT_STRICT",
+                [VISIBILITY_MODES.LENIENT]: "PF2E-PROPERTY-RUNES.SETTINGS.LINE_OF_SIGHT_LENIENT"
+            },
+            default: VISIBILITY_MODES.STRICT,
+            onChange: (value) => {
+                log(`Line of sight mode set to ${value}`);
+            }
+        });
+
+        game.settings.register(MODULE_ID, "alliance-heuristics", {
+            name: "PF2E-PROPERTY-RUNES.SETTINGS.ALLIANCE_HEURISTICS",
+            hint: "PF2E-PROPERTY-RUNES.SETTINGS.ALLIANCE_HEURISTICS_HINT",
+            scope: "world",
+            config: true,
+            type: Boolean,
+            default: true,
+            onChange: (value) => {
+                log(`Alliance heuristics ${value ? 'enabled' : 'disabled'}`);
+            }
+        });
+    }
+
+    /**
+     * Carry settings from earlier versions over to their replacements, once
+     * Must run before handlers start up, as they may post chat cards straight away
+     */
+    async migrateSettings() {
+        if (!isExecutor()) {
+            return;
+        }
+
+        // "show-chat-messages" was replaced by "chat-verbosity"; turning it off meant no chat cards at all
+        const showChat = game.settings.storage.get("world").getSetting(`${MODULE_ID}.show-chat-messages`);
+        if (showChat) {
+            if (String(showChat.value) === "false") {
+                log("Migrating show-chat-messages: off → chat verbosity none");
+                await game.settings.set(MODULE_ID, "chat-verbosity", CHAT_VERBOSITY.NONE);
+            }
+            await showChat.delete();
+        }
+    }
+
+    /**
+     * Initialize the FoundryVTT hooks that feed rune triggers
+     */
+    initializeHooks() {
+        // End of turn triggers
+        Hooks.on("pf2e.endTurn", (combatant, combat, userId) => {
+            if (!combat || !combatant?.token) {
+                return;
+            }
+
+            // The executor resolves the turn; the client that ended it forwards it in case
+            // the executor never saw the hook. Duplicates are dropped by the turn claim.
+            const payload = { combatantUuid: combatant.uuid, round: combat.round };
+            if (isExecutor()) {
+                this.onEndTurn(payload);
+            } else if (userId === game.user.id) {
+                this.socket.execute(SOCKET_ACTIONS.END_TURN, payload);
+            }
+        });
+
+        // Turn starts give back actions and reactions, forwarded the same way
+        Hooks.on("pf2e.startTurn", (combatant, combat, userId) => {
+            if (!combat || !combatant?.token) {
+                return;
+            }
+
+            const payload = { combatantUuid: combatant.uuid };
+            if (isExecutor()) {
+                this.onStartTurn(payload);
+            } else if (userId === game.user.id) {
+                this.socket.execute(SOCKET_ACTIONS.START_TURN, payload);
+            }
+        });
+
+        // Strike and damage triggers come from PF2E chat messages
+        Hooks.on("preCreateChatMessage", this.onPreCreateStrike.bind(this));
+        Hooks.on("createChatMessage", this.onChatMessage.bind(this));
+
+        // Wire up undo buttons on rune chat cards
+        const renderHook = game.release.generation >= 13 ? "renderChatMessageHTML" : "renderChatMessage";
+        Hooks.on(renderHook, this.onRenderChatMessage.bind(this));
+
+        // Forget claimed turns once a combat is over
+        Hooks.on("deleteCombat", (combat) => this.socket.release(`${combat.id}.`));
+
+        // Detected runes change when items are added, equipped, re-runed or removed
+        for (const hook of ["createItem", "updateItem", "deleteItem"]) {
+            Hooks.on(hook, (item) => {
+                if (item.parent instanceof Actor) {
+                    this.clearRuneCache(item.parent);
+                }
+            });
+        }
+    }
+
+    /**
+     * Forget cached rune detection for an actor, or for every actor
+     */
+    clearRuneCache(actor = null) {
+        for (const handler of this.handlers.values()) {
+            handler.clearRuneCache(actor);
+        }
+    }
+
+    /**
+     * Resolve end of turn triggers for a combatant, once per combat turn
+     */
+    async onEndTurn({ combatantUuid, round }) {
+        const combatant = fromUuidSync(combatantUuid);
+        const combat = combatant?.parent;
+
+        // Key on the combatant's token so unlinked tokens resolve to their own actor
+        const token = combatant?.token;
+        if (!combat || !token?.actor) {
+            return;
+        }
+
+        if (!this.socket.claim(`${combat.id}.${round}.${combatant.id}.${RUNE_TRIGGERS.END_OF_TURN}`)) {
+            return;
+        }
+
+        await this.dispatch(RUNE_TRIGGERS.END_OF_TURN, { combatant, combat, token, actor: token.actor });
+    }
+
+    /**
+     * Give a combatant its actions and reaction back when its turn starts
+     */
+    async onStartTurn({ combatantUuid }) {
+        const combatant = fromUuidSync(combatantUuid);
+        if (!combatant?.parent) {
+            return;
+        }
+
+        await this.prompts.resetTurn(combatant);
+    }
+
+    /**
+     * Called when a chat message is rendered
+     * Undo buttons are only usable by GMs and are disabled once used
+     */
+    onRenderChatMessage(message, html) {
+        const element = html instanceof HTMLElement ? html : html[0];
+        const button = element?.querySelector("[data-action='rune-undo']");
+        if (!button) {
+            return;
+        }
+
+        const undo = message.getFlag(MODULE_ID, "undo");
+        if (!game.user.isGM || !undo) {
+            button.remove();
+            return;
+        }
+
+        if (undo.done) {
+            button.disabled = true;
+            button.innerHTML = `<i class="fas fa-check"></i> Undone`;
+            return;
+        }
+
+        button.addEventListener("click", (event) => {
+            event.preventDefault();
+            button.disabled = true;
+            this.socket.execute(SOCKET_ACTIONS.UNDO, { messageId: message.id });
+        });
+    }
+
+    /**
+     * Revert the rune effect recorded on a chat card, once
+     * Only GMs may undo
+     */
+    async onUndo({ messageId }, sender) {
+        if (!sender?.isGM) {
+            log(`Ignoring undo from ${sender?.name ?? "an unknown user"}, who is not a GM`);
+            return;
+        }
+
+        const message = game.messages.get(messageId);
+        const undo = message?.getFlag(MODULE_ID, "undo");
+        if (!undo || undo.done) {
+            return;
+        }
+
+        const handler = this.get(undo.slug);
+        if (!handler) {
+            console.warn(`PF2E Property Runes | No rune handler "${undo.slug}" to undo ${messageId}`);
+            return;
+        }
+
+        await message.setFlag(MODULE_ID, "undo", { ...undo, done: true });
+        await handler.undo(undo.data, message);
+        log(`Undid ${handler.name ?? handler.slug} effect from message ${messageId}`);
+    }
+
+    /**
+     * Fire end of turn triggers for a token outside the combat turn flow, for diagnostics
+     * Not claimed, so it can be repeated. Only GMs may force triggers
+     */
+    async onForceTrigger({ tokenUuid }, sender) {
+        const token = fromUuidSync(tokenUuid);
+        if (!token?.actor) {
+            return;
+        }
+        if (!sender?.isGM) {
+            log(`Ignoring forced trigger for ${token.name} from ${sender?.name ?? "an unknown user"}, who is not a GM`);
+            return;
+        }
+
+        log(`Forcing ${RUNE_TRIGGERS.END_OF_TURN} for ${token.name}`);
+        const combat = getTokenCombat(token);
+        await this.dispatch(RUNE_TRIGGERS.END_OF_TURN, { combat, token, actor: token.actor });
+    }
+
+    /**
+     * Activate a rune on a token's equipped items at its owner's request, e.g. from the Token HUD
+     * The owner already chose to, so there is no prompt. Only GMs and owners of the token may activate
+     */
+    async onActivate({ tokenUuid, slug }, sender) {
+        const token = fromUuidSync(tokenUuid);
+        if (!token?.actor || !sender || !(sender.isGM || token.actor.testUserPermission(sender, "OWNER"))) {
+            log(`Ignoring activation of ${slug} from ${sender?.name ?? "an unknown user"}, who does not own the token`);
+            return false;
+        }
+
+        const handler = this.get(slug);
+        const found = handler?.findRune(token?.actor);
+        if (!found?.data || !handler.activation || !handler.isEnabled() || !handler.isEnabledForToken(token)) {
+            return false;
+        }
+
+        const combat = getTokenCombat(token);
+        const context = { combat, token, actor: token.actor };
+        if (!handler.canActivate(context, found)) {
+            return false;
+        }
+        return this.prompts.request(handler, context, found, { confirmed: true });
+    }
+
+    /**
+     * Register a rune handler or plain rune definition
+     */
+    register(definition) {
+        const handler = definition instanceof PropertyRuneHandler
+            ? definition
+            : new PropertyRuneHandler(definition);
+
+        if (!handler.slug) {
+            throw new Error("PF2E Property Runes | Rune definitions require a slug");
+        }
+        if (!RUNE_ITEM_TYPES.includes(handler.itemType)) {
+            throw new Error(`PF2E Property Runes | Rune "${handler.slug}" has an unsupported item type: ${handler.itemType}`);
+        }
+        const unknownSlot = handler.slots.find(slot => !Object.values(RUNE_SLOTS).includes(slot));
+        if (unknownSlot) {
+            throw new Error(`PF2E Property Runes | Rune "${handler.slug}" has an unsupported slot: ${unknownSlot}`);
+        }
+        if (this.handlers.has(handler.slug)) {
+            console.warn(`PF2E Property Runes | Rune "${handler.slug}" is already registered and will be replaced`);
+        }
+
+        this.handlers.set(handler.slug, handler);
+        handler.registry = this;
+        handler.initializeSettings();
+
+        // Every handler can be toggled from the configuration menu
+        if (!game.settings.settings.has(`${MODULE_ID}.${handler.enableSetting}`)) {
+            game.settings.register(MODULE_ID, handler.enableSetting, {
+                name: `Enable ${handler.name ?? handler.slug} Automation`,
+                scope: "world",
+                config: false,
+                type: Boolean,
+                default: true
+            });
+        }
+        handler.initializeHooks();
+
+        log(`Registered rune handler: ${handler.slug}`);
+        return handler;
+    }
+
+    /**
+     * Get a registered handler by slug
+     */
+    get(slug) {
+        return this.handlers.get(slug) ?? null;
+    }
+
+    /**
+     * Get all registered handlers listening to a trigger
+     */
+    getHandlersFor(trigger) {
+        return [...this.handlers.values()].filter(handler => handler.triggers.includes(trigger));
+    }
+
+    /**
+     * Run every enabled handler listening to a trigger
+     */
+    async dispatch(trigger, context) {
+        this.combatLog.record(context.combat, {
+            event: LOG_EVENTS.TRIGGER,
+            message: `${trigger} for ${context.token?.name ?? context.actor?.name ?? "unknown"}`
+        });
+
+        for (const handler of this.getHandlersFor(trigger)) {
+            if (!handler.isEnabled()) {
+                continue;
+            }
+
+            try {
+                await handler.resolve({ ...context, trigger });
+            } catch (error) {
+                console.error(`Error resolving ${handler.name ?? handler.slug} for ${trigger}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Called before a chat message is created, on the creating client only
+     * Lets roll-modifying runes such as keen change a strike's degree of success
+     */
+    onPreCreateStrike(message, data, options, userId) {
+        const context = message.flags?.pf2e?.context;
+        const roll = message.rolls?.[0];
+        if (context?.type !== "attack-roll" || !roll) {
+            return;
+        }
+
+        const outcomeContext = {
+            message,
+            token: message.token ?? null,
+            actor: message.actor,
+            item: message.item,
+            target: context.target?.token ? fromUuidSync(context.target.token) : null,
+            outcome: context.outcome,
+            die: getNaturalRoll(roll)
+        };
+
+        for (const handler of this.handlers.values()) {
+            if (!handler.isEnabled()) {
+                continue;
+            }
+
+            const outcome = handler.adjustOutcome(outcomeContext);
+            if (!outcome || outcome === context.outcome) {
+                continue;
+            }
+
+            log(`${handler.name ?? handler.slug} changed a strike from ${context.outcome} to ${outcome}`);
+            setStrikeOutcome(message, outcome, { slug: handler.slug, label: handler.name ?? handler.slug });
+            return;
+        }
+    }
+
+    /**
+     * Turn PF2E strike and damage chat messages into rune triggers
+     */
+    onChatMessage(message, options, userId) {
+        const flags = message.flags?.pf2e;
+        if (!flags || !isExecutor()) {
+            return;
+        }
+
+        if (flags.appliedDamage) {
+            const token = message.token ?? null;
+            this.dispatch(RUNE_TRIGGERS.ON_DAMAGE_TAKEN, { message, combat: getTokenCombat(token), token, actor: token?.actor ?? message.actor });
+            return;
+        }
+
+        const context = flags.context;
+        if (context?.type !== "attack-roll") {
+            return;
+        }
+
+        const token = message.token ?? null;
+        const target = context.target?.token ? fromUuidSync(context.target.token) : null;
+        const strikeContext = {
+            message,
+            combat: getTokenCombat(token),
+            token,
+            actor: token?.actor ?? message.actor,
+            item: message.item,
+            target,
+            outcome: context.outcome,
+            die: message.rolls?.[0] ? getNaturalRoll(message.rolls[0]) : null
+        };
+        this.dispatch(RUNE_TRIGGERS.ON_STRIKE, strikeContext);
+        if (context.outcome === "success" || context.outcome === "criticalSuccess") {
+            this.dispatch(RUNE_TRIGGERS.ON_HIT, strikeContext);
+        }
+        if (context.outcome === "criticalSuccess") {
+            this.dispatch(RUNE_TRIGGERS.ON_CRIT, strikeContext);
+        }
+    }
+}
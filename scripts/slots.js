@@ -0,0 +1,106 @@
+/**
+ * PF2E Property Runes - Equipment Slots
+ * Decides which of an actor's items are in use for a kind of rune
+ *
+ * Worn armor counts while it is in the armor slot; magic armor counts while it is invested.
+ * Shields count while held, raised or not. Weapons count while wielded in either
+ * hand, and thrown weapons also while worn ready to be drawn and thrown.
+ */
+
+export const RUNE_SLOTS = Object.freeze({
+    ARMOR: "armor",
+    SHIELD: "shield",
+    WEAPON: "weapon"
+});
+
+/**
+ * Check if an item is a shield
+ * Older PF2E versions stored shields as armor of the shield category
+ */
+function isShield(item) {
+    return item.type === "shield" || (item.type === "armor" && (item.isShield ?? item.system?.category === "shield"));
+}
+
+/**
+ * Check if an item has the thrown trait, e.g. "thrown" or "thrown-20"
+ */
+export function isThrown(item) {
+    const traits = item.system?.traits?.value ?? [];
+    return traits.some(trait => trait === "thrown" || trait.startsWith("thrown-"));
+}
+
+/**
+ * Check if a piece of armor, explorer's clothing included, is worn
+ * Investable armor counts only while invested, even when it is not in the armor slot
+ */
+function isWornArmor(item) {
+    const equipped = item.system?.equipped ?? {};
+    if (equipped.carryType !== "worn") {
+        return false;
+    }
+
+    const invested = item.isInvested ?? null;
+    if (invested !== null) {
+        return invested;
+    }
+    return item.isEquipped ?? !!equipped.inSlot;
+}
+
+/**
+ * Check if an item is held in at least one hand
+ */
+function isHeld(item) {
+    const equipped = item.system?.equipped ?? {};
+    return equipped.carryType === "held" && (equipped.handsHeld ?? 0) > 0;
+}
+
+/**
+ * Count an actor's hands not holding anything, ignoring one item
+ */
+export function getFreeHands(actor, except = null) {
+    const used = actor.items
+        .filter(item => item.id !== except?.id && isHeld(item))
+        .reduce((hands, item) => hands + item.system.equipped.handsHeld, 0);
+    return Math.max(0, 2 - used);
+}
+
+// Slot → item types it draws from and the test for an item being in use
+const SLOT_DEFINITIONS = {
+    [RUNE_SLOTS.ARMOR]: {
+        itemTypes: ["armor"],
+        fits: item => !isShield(item),
+        isActive: isWornArmor
+    },
+    [RUNE_SLOTS.SHIELD]: {
+        itemTypes: ["shield", "armor"],
+        fits: isShield,
+        isActive: isHeld
+    },
+    [RUNE_SLOTS.WEAPON]: {
+        itemTypes: ["weapon"],
+        fits: () => true,
+        isActive: item => isHeld(item) || (isThrown(item) && item.system?.equipped?.carryType === "worn")
+    }
+};
+
+/**
+ * Check if an item belongs in a slot, whether or not it is in use
+ */
+export function fitsSlot(item, slot) {
+    const definition = SLOT_DEFINITIONS[slot];
+    return !!definition && definition.itemTypes.includes(item?.type) && definition.fits(item);
+}
+
+/**
+ * Get an actor's items that are in use in a slot
+ */
+export function getSlotItems(actor, slot) {
+    const definition = SLOT_DEFINITIONS[slot];
+    if (!actor || !definition) {
+        return [];
+    }
+
+    return definition.itemTypes
+        .flatMap(type => actor.itemTypes?.[type] ?? [])
+        .filter(item => definition.fits(item) && definition.isActive(item));
+}
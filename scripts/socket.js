@@ -0,0 +1,173 @@
+/**
+ * PF2E Property Runes - GM Executor and Socket
+ * Makes sure rune automation runs once, on a single designated GM client
+ *
+ * The executor is the first active GM. Other clients send actions over the
+ * module socket and the executor runs them. Work that should only happen
+ * once per combat turn is claimed with a key so repeats are dropped. The
+ * executor can also ask a specific user to run an action and wait for the answer.
+ * Action handlers receive the user who sent the action, to check what they may do.
+ */
+
+import { MODULE_ID, log } from "./utils.js";
+
+const SOCKET_NAME = `module.${MODULE_ID}`;
+
+export const SOCKET_ACTIONS = Object.freeze({
+    END_TURN: "end-turn",
+    UNDO: "undo",
+    FORCE_TRIGGER: "force-trigger",
+    START_TURN: "start-turn",
+    PROMPT: "prompt",
+    ACTIVATE: "activate"
+});
+
+/**
+ * Get the GM user that runs rune automation
+ */
+export function getExecutor() {
+    if (game.users.activeGM !== undefined) {
+        return game.users.activeGM;
+    }
+    return game.users.filter(user => user.active && user.isGM).sort((a, b) => a.id.localeCompare(b.id))[0] ?? null;
+}
+
+/**
+ * Check if this client runs rune automation
+ */
+export function isExecutor() {
+    return getExecutor()?.id === game.user.id;
+}
+
+export class RuneSocket {
+    constructor() {
+        this.actions = new Map();
+        this.claimed = new Set();
+        // Request ID → callback for answers still awaited
+        this.requests = new Map();
+        game.socket.on(SOCKET_NAME, this.onMessage.bind(this));
+    }
+
+    /**
+     * Register the function the executor runs for an action
+     * It is called with the payload and the sending user
+     */
+    register(action, handler) {
+        this.actions.set(action, handler);
+    }
+
+    /**
+     * Run an action on the executor, locally if this client is the executor
+     * Payloads must be serializable, so pass document UUIDs rather than documents
+     */
+    async execute(action, payload = {}) {
+        if (isExecutor()) {
+            return this.run(action, payload);
+        }
+
+        const executor = getExecutor();
+        if (!executor) {
+            log(`No active GM to run ${action}`);
+            return;
+        }
+
+        game.socket.emit(SOCKET_NAME, { action, payload, executorId: executor.id, senderId: game.user.id });
+    }
+
+    /**
+     * Run an action on a specific user's client and wait for its result
+     * Resolves to null if the user does not answer within the timeout
+     */
+    async request(user, action, payload = {}, { timeout = 30000 } = {}) {
+        if (user.id === game.user.id) {
+            return this.run(action, payload);
+        }
+
+        const requestId = foundry.utils.randomID();
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.requests.delete(requestId);
+                log(`${user.name} did not answer ${action} in time`);
+                resolve(null);
+            }, timeout);
+
+            this.requests.set(requestId, (result) => {
+                clearTimeout(timer);
+                this.requests.delete(requestId);
+                resolve(result);
+            });
+
+            game.socket.emit(SOCKET_NAME, { action, payload, recipientId: user.id, requestId, senderId: game.user.id });
+        });
+    }
+
+    /**
+     * Called when a socket message arrives
+     */
+    async onMessage(data) {
+        if (data?.recipientId === game.user.id) {
+            return this.onRequestMessage(data);
+        }
+        if (data?.executorId !== game.user.id) {
+            return;
+        }
+
+        const sender = game.users.get(data.senderId) ?? null;
+        log(`Received ${data.action} from ${sender?.name ?? data.senderId}`);
+        this.run(data.action, data.payload, sender);
+    }
+
+    /**
+     * Answer a request addressed to this user, or take delivery of an answer
+     */
+    async onRequestMessage(data) {
+        if (data.replyTo) {
+            this.requests.get(data.replyTo)?.(data.result ?? null);
+            return;
+        }
+
+        const result = await this.run(data.action, data.payload, game.users.get(data.senderId) ?? null);
+        game.socket.emit(SOCKET_NAME, { replyTo: data.requestId, result: result ?? null, recipientId: data.senderId, senderId: game.user.id });
+    }
+
+    /**
+     * Run a registered action locally on behalf of a user, this client's user by default
+     */
+    async run(action, payload, sender = game.user) {
+        const handler = this.actions.get(action);
+        if (!handler) {
+            console.warn(`PF2E Property Runes | No socket handler registered for ${action}`);
+            return;
+        }
+
+        try {
+            return await handler(payload, sender);
+        } catch (error) {
+            console.error(`Error running ${action}:`, error);
+        }
+    }
+
+    /**
+     * Claim a unit of work so it only runs once
+     * Returns false if it was already claimed
+     */
+    claim(key) {
+        if (this.claimed.has(key)) {
+            log(`Skipping duplicate ${key}`);
+            return false;
+        }
+        this.claimed.add(key);
+        return true;
+    }
+
+    /**
+     * Forget claimed work whose key starts with a prefix, e.g. a finished combat
+     */
+    release(prefix) {
+        for (const key of this.claimed) {
+            if (key.startsWith(prefix)) {
+                this.claimed.delete(key);
+            }
+        }
+    }
+}
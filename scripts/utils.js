@@ -0,0 +1,94 @@
+/**
+ * PF2E Property Runes - Shared Utilities
+ * Small helpers used by the rune registry and every rune handler
+ */
+
+export const MODULE_ID = "pf2e-property-runes";
+
+/**
+ * Log messages with debug mode support
+ */
+export function log(message, data = null) {
+    try {
+        const debugMode = game.settings.get(MODULE_ID, "debug-mode");
+        if (debugMode) {
+            console.log(`[PF2E Property Runes] ${message}`, data);
+        }
+    } catch (error) {
+        // Settings not registered yet, just use console.log
+        console.log(`[PF2E Property Runes] ${message}`, data);
+    }
+}
+
+/**
+ * Get the display name of a property rune entry
+ * Handles both string and object rune formats
+ */
+export function getRuneName(rune) {
+    if (typeof rune === "string") {
+        return rune;
+    } else if (rune && typeof rune === "object") {
+        return rune.name || rune.slug || "";
+    }
+    return "";
+}
+
+/**
+ * Get a property rune entry as lowercase letters only, e.g. "greaterfireresistant"
+ * Lets "greaterFireResistant" and "Greater Fire-Resistant" compare equal
+ */
+export function getRuneSlug(rune) {
+    return getRuneName(rune).toLowerCase().replace(/[^a-z]/g, "");
+}
+
+export const CHAT_VERBOSITY = Object.freeze({
+    NONE: "none",
+    ESSENTIAL: "essential",
+    FULL: "full"
+});
+
+/**
+ * Check if chat cards of a given verbosity level should be posted
+ * Essential cards carry check links and results; full adds notices such as the welcome message
+ */
+export function shouldShowChat(level = CHAT_VERBOSITY.ESSENTIAL) {
+    const order = [CHAT_VERBOSITY.NONE, CHAT_VERBOSITY.ESSENTIAL, CHAT_VERBOSITY.FULL];
+    const verbosity = game.settings.get(MODULE_ID, "chat-verbosity");
+    return level !== CHAT_VERBOSITY.NONE && order.indexOf(verbosity) >= order.indexOf(level);
+}
+
+export const RUNE_ICONS = Object.freeze({
+    ARMOR: "systems/pf2e/icons/equipment/runes/armor-property-runes/armor-property-runes.webp",
+    WEAPON: "systems/pf2e/icons/equipment/runes/weapon-property-runes/weapon-property-runes.webp"
+});
+
+/**
+ * Post a rune chat card: a header with an icon and title, followed by the body
+ * @param {object} card
+ * @param {string} card.title        Header text, may contain HTML
+ * @param {string} card.body         Card content HTML
+ * @param {string} [card.img]        Header icon, one of RUNE_ICONS or an item image
+ * @param {...object} [messageData]  Other ChatMessage data, e.g. whisper, rolls, flags or speaker
+ */
+export async function createRuneCard({ title, body, img = RUNE_ICONS.ARMOR, ...messageData }) {
+    return ChatMessage.create({
+        user: game.user.id,
+        content: `<div class="pf2e-property-runes-card">
+                    <div class="pf2e-property-runes-card-header">
+                        <img src="${img}" width="20" height="20">
+                        <strong>${title}</strong>
+                    </div>
+                    ${body}
+                </div>`,
+        style: CONST.CHAT_MESSAGE_STYLES.OTHER,
+        ...messageData
+    });
+}
+
+/**
+ * Check if an actor is immune to any of the given immunity types, e.g. "fear-effects" or "emotion"
+ */
+export function isImmuneTo(actor, types) {
+    const immunities = actor?.attributes?.immunities ?? [];
+    return immunities.some(immunity => types.includes(immunity.type));
+}
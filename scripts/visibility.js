@@ -0,0 +1,123 @@
+/**
+ * PF2E Property Runes - Visibility
+ * Decides whether one token can see another for runes that require it
+ *
+ * Lenient mode only tests walls that block sight. Strict mode also respects
+ * PF2E conditions (blinded observers, invisible or unnoticed targets) and
+ * darkness the observer cannot see through.
+ */
+
+import { MODULE_ID, log } from "./utils.js";
+
+export const VISIBILITY_MODES = Object.freeze({
+    STRICT: "strict",
+    LENIENT: "lenient"
+});
+
+// Observer conditions that stop it from seeing anything
+const OBSERVER_BLOCKING_CONDITIONS = ["blinded", "unconscious"];
+
+// Target conditions that stop the observer from seeing it
+const TARGET_BLOCKING_CONDITIONS = ["invisible", "hidden", "undetected", "unnoticed"];
+
+// Senses that see through darkness
+const DARKNESS_SENSES = ["darkvision", "greater-darkvision", "greaterDarkvision"];
+
+/**
+ * Get the center point of a token document in scene coordinates
+ */
+export function getTokenCenter(token) {
+    const gridSize = token.parent?.grid?.size ?? canvas.grid.size;
+    return {
+        x: token.x + (token.width * gridSize) / 2,
+        y: token.y + (token.height * gridSize) / 2
+    };
+}
+
+/**
+ * Check if walls block sight between two tokens
+ * Walls can only be tested on the scene currently drawn on the canvas
+ */
+export function hasLineOfSight(observer, target) {
+    const scene = observer.parent;
+    if (!scene || canvas.scene?.id !== scene.id) {
+        log(`Cannot test walls on ${scene?.name ?? "an unknown scene"} because it is not on the canvas`);
+        return true;
+    }
+
+    const backend = CONFIG.Canvas.polygonBackends?.sight;
+    if (!backend?.testCollision) {
+        return true;
+    }
+
+    return !backend.testCollision(getTokenCenter(observer), getTokenCenter(target), { type: "sight", mode: "any" });
+}
+
+/**
+ * Check if an actor can see in darkness
+ */
+function hasDarknessSense(actor) {
+    const senses = actor?.perception?.senses ?? actor?.system?.perception?.senses ?? actor?.system?.traits?.senses ?? [];
+    return Array.from(senses).some(sense => DARKNESS_SENSES.includes(sense.type));
+}
+
+/**
+ * Check if a token stands in darkness
+ */
+function isInDarkness(token) {
+    const scene = token.parent;
+    if (!scene || canvas.scene?.id !== scene.id || !scene.isDark) {
+        return false;
+    }
+
+    // A light source on the token's square lifts the darkness
+    const insideLight = canvas.effects?.testInsideLight?.(getTokenCenter(token), token.elevation ?? 0);
+    return !insideLight;
+}
+
+/**
+ * Check if an observer token can see a target token
+ */
+export function canSee(observer, target, { mode = VISIBILITY_MODES.STRICT } = {}) {
+    if (!observer || !target) {
+        return false;
+    }
+
+    if (!hasLineOfSight(observer, target)) {
+        log(`${observer.name} cannot see ${target.name}: line of sight is blocked`);
+        return false;
+    }
+
+    if (mode === VISIBILITY_MODES.LENIENT) {
+        return true;
+    }
+
+    const observerActor = observer.actor;
+    const targetActor = target.actor;
+
+    const observerCondition = OBSERVER_BLOCKING_CONDITIONS.find(slug => observerActor?.hasCondition?.(slug));
+    if (observerCondition) {
+        log(`${observer.name} cannot see ${target.name}: ${observer.name} is ${observerCondition}`);
+        return false;
+    }
+
+    const targetCondition = TARGET_BLOCKING_CONDITIONS.find(slug => targetActor?.hasCondition?.(slug));
+    if (targetCondition) {
+        log(`${observer.name} cannot see ${target.name}: ${target.name} is ${targetCondition}`);
+        return false;
+    }
+
+    if (isInDarkness(target) && !hasDarknessSense(observerActor)) {
+        log(`${observer.name} cannot see ${target.name}: ${target.name} is in darkness`);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Get the configured visibility mode
+ */
+export function getVisibilityMode() {
+    return game.settings.get(MODULE_ID, "line-of-sight");
+}
@@ -0,0 +1,363 @@
+/**
+ * PF2E Property Runes - Weapon Rider Automation
+ * Applies the extra effects weapon property runes add to hits and critical hits
+ *
+ * Corrosive damages the target's armor and shock arcs to nearby creatures. Every rider
+ * posts a chat card with an undo button that reverts exactly what was applied.
+ * The persistent damage from flaming and wounding is part of PF2E's own damage roll,
+ * so those riders only log it, with a chat card at full verbosity.
+ */
+
+import { MODULE_ID, CHAT_VERBOSITY, RUNE_ICONS, shouldShowChat, createRuneCard } from "./utils.js";
+import { PropertyRuneHandler, RUNE_TRIGGERS } from "./rune-registry.js";
+import { measureDistance } from "./distance.js";
+import { areEnemies, getAlliance } from "./alliance.js";
+import { LOG_EVENTS } from "./combat-log.js";
+import { RUNE_SLOTS } from "./slots.js";
+
+export const UNDO_TYPES = Object.freeze({
+    DELETE_ITEM: "delete-item",
+    RESTORE_HP: "restore-hp",
+    RESTORE_ITEM_HP: "restore-item-hp",
+    RESTORE_CONDITION: "restore-condition",
+    RESTORE_POSITION: "restore-position",
+    REMOVE_STATUS: "remove-status"
+});
+
+/**
+ * Shared behaviour for weapon property runes that add a rider to a strike
+ */
+export class WeaponRiderAutomation extends PropertyRuneHandler {
+    constructor(definition) {
+        super({ itemType: "weapon", slots: [RUNE_SLOTS.WEAPON], configurableFields: [], ...definition });
+    }
+
+    /**
+     * Apply the rider if the strike was made with a weapon bearing this rune
+     */
+    async resolve(context) {
+        // Only the weapon used for the strike counts, not other wielded weapons
+        const found = this.findRuneOnItem(context.item);
+        if (!found?.data || !this.isEnabledForToken(context.token)) {
+            return;
+        }
+
+        if (!context.target?.actor) {
+            this.log(`${context.item.name} hit without a target; ${found.data.name} was not applied`);
+            return;
+        }
+
+        await this.applyRider(context, found.data);
+    }
+
+    /**
+     * Apply the rune's rider to the strike's target
+     */
+    async applyRider(context, runeData) {}
+
+    /**
+     * Roll a damage formula as a PF2E damage roll so resistances and weaknesses apply
+     */
+    async rollDamage(formula, damageType) {
+        const DamageRoll = CONFIG.Dice.rolls.find(roll => roll.name === "DamageRoll") ?? Roll;
+        return new DamageRoll(`{${formula}[${damageType}]}`).evaluate();
+    }
+
+    /**
+     * Give an actor a persistent damage condition
+     * Returns the created condition item
+     */
+    async applyPersistentDamage(actor, formula, damageType) {
+        const condition = game.pf2e.ConditionManager.getCondition("persistent-damage").toObject();
+        condition.system.persistent = { formula, damageType, dc: 15 };
+        const [created] = await actor.createEmbeddedDocuments("Item", [condition]);
+        return created;
+    }
+
+    /**
+     * Give an actor a condition, raising its value if it already has one
+     * Returns the undo entry that puts the condition back the way it was
+     */
+    async applyCondition(actor, slug, value = null) {
+        const before = actor.getCondition?.(slug)?.value ?? (actor.hasCondition?.(slug) ? 1 : 0);
+
+        if (value === null) {
+            if (!actor.hasCondition?.(slug)) {
+                await actor.increaseCondition(slug);
+            }
+        } else {
+            await actor.increaseCondition(slug, { value });
+        }
+
+        return { type: UNDO_TYPES.RESTORE_CONDITION, uuid: actor.uuid, slug, value: before };
+    }
+
+    /**
+     * Deal damage to a token's actor and report how many Hit Points it lost
+     */
+    async applyDamage(token, roll) {
+        const actor = token.actor;
+        const before = { hp: actor.system.attributes.hp.value, temp: actor.system.attributes.hp.temp ?? 0 };
+
+        await actor.applyDamage({ damage: roll, token });
+
+        return {
+            hp: before.hp - actor.system.attributes.hp.value,
+            temp: before.temp - (actor.system.attributes.hp.temp ?? 0)
+        };
+    }
+
+    /**
+     * Post a rider chat card with an undo button
+     * Each undo entry describes one change to revert, see UNDO_TYPES
+     * @param {object} [options]
+     * @param {object[]} [options.undo]     Changes the Undo button reverts
+     * @param {Roll[]} [options.rolls]      Rolls shown on the card
+     * @param {Combat} [options.combat]     Combat whose automation log records the rider
+     * @param {string} [options.verbosity]  Chat verbosity the card needs, one of CHAT_VERBOSITY
+     */
+    async createRiderMessage(runeData, body, { undo = [], rolls = [], combat = null, verbosity = CHAT_VERBOSITY.ESSENTIAL } = {}) {
+        this.record(combat, LOG_EVENTS.EFFECT, `${runeData.name}: ${body.replace(/<[^>]+>/g, "").trim()}`);
+
+        if (!shouldShowChat(verbosity)) {
+            return null;
+        }
+
+        const undoButton = undo.length
+            ? `<button type="button" data-action="rune-undo"><i class="fas fa-undo"></i> Undo</button>`
+            : "";
+
+        return createRuneCard({
+            title: `${runeData.name} Effect`,
+            img: RUNE_ICONS.WEAPON,
+            body: `${body}
+                    ${undoButton}`,
+            rolls,
+            flags: {
+                [MODULE_ID]: { undo: { slug: this.slug, data: undo } }
+            }
+        });
+    }
+
+    /**
+     * Revert the changes recorded on a rider chat card
+     */
+    async undo(data) {
+        for (const entry of data ?? []) {
+            const document = await fromUuid(entry.uuid);
+            if (!document) {
+                this.log(`Nothing left to undo for ${entry.uuid}`);
+                continue;
+            }
+
+            switch (entry.type) {
+                case UNDO_TYPES.DELETE_ITEM:
+                    await document.delete();
+                    break;
+                case UNDO_TYPES.RESTORE_HP: {
+                    const hp = document.system.attributes.hp;
+                    await document.update({
+                        "system.attributes.hp.value": Math.min(hp.max, hp.value + entry.hp),
+                        "system.attributes.hp.temp": (hp.temp ?? 0) + entry.temp
+                    });
+                    break;
+                }
+                case UNDO_TYPES.RESTORE_ITEM_HP:
+                    await document.update({ "system.hp.value": entry.value });
+                    break;
+                case UNDO_TYPES.RESTORE_CONDITION: {
+                    const condition = document.getCondition?.(entry.slug);
+                    if (!entry.value) {
+                        await document.decreaseCondition(entry.slug, { forceRemove: true });
+                    } else if (condition?.value !== null && condition?.value !== undefined) {
+                        await condition.update({ "system.value.value": entry.value });
+                    }
+                    break;
+                }
+                case UNDO_TYPES.RESTORE_POSITION:
+                    await document.update({ x: entry.x, y: entry.y });
+                    break;
+                case UNDO_TYPES.REMOVE_STATUS:
+                    await document.toggleStatusEffect?.(entry.status, { active: false });
+                    break;
+            }
+        }
+    }
+}
+
+export class FlamingRuneAutomation extends WeaponRiderAutomation {
+    constructor() {
+        super({
+            slug: "flaming",
+            name: "Flaming Rune",
+            grades: {
+                "standard": {
+                    name: "Flaming Rune",
+                    persistent: "1d10"
+                },
+                "greater": {
+                    name: "Greater Flaming Rune",
+                    persistent: "2d10"
+                }
+            },
+            triggers: [RUNE_TRIGGERS.ON_CRIT]
+        });
+    }
+
+    /**
+     * Critical hits add persistent fire damage, which PF2E includes in the damage roll
+     * The card is only a note, so it waits for full chat verbosity
+     */
+    async applyRider({ combat, target }, runeData) {
+        await this.createRiderMessage(
+            runeData,
+            `<p><strong>${target.name}</strong> takes ${runeData.persistent} persistent fire damage from the critical hit's damage roll.</p>`,
+            { verbosity: CHAT_VERBOSITY.FULL, combat }
+        );
+    }
+}
+
+export class WoundingRuneAutomation extends WeaponRiderAutomation {
+    constructor() {
+        super({
+            slug: "wounding",
+            name: "Wounding Rune",
+            grades: {
+                "standard": {
+                    name: "Wounding Rune",
+                    persistent: "1d6"
+                }
+            },
+            triggers: [RUNE_TRIGGERS.ON_HIT]
+        });
+    }
+
+    /**
+     * Every hit adds persistent bleed damage, which PF2E includes in the damage roll
+     * The card is only a note, so it waits for full chat verbosity
+     */
+    async applyRider({ combat, target }, runeData) {
+        await this.createRiderMessage(
+            runeData,
+            `<p><strong>${target.name}</strong> takes ${runeData.persistent} persistent bleed damage from the strike's damage roll.</p>`,
+            { verbosity: CHAT_VERBOSITY.FULL, combat }
+        );
+    }
+}
+
+export class CorrosiveRuneAutomation extends WeaponRiderAutomation {
+    constructor() {
+        super({
+            slug: "corrosive",
+            name: "Corrosive Rune",
+            grades: {
+                "standard": {
+                    name: "Corrosive Rune",
+                    armorDamage: "3d6"
+                },
+                "greater": {
+                    name: "Greater Corrosive Rune",
+                    armorDamage: "6d6"
+                }
+            },
+            triggers: [RUNE_TRIGGERS.ON_CRIT]
+        });
+    }
+
+    /**
+     * Critical hits deal acid damage to the target's armor, reduced by its Hardness
+     */
+    async applyRider({ combat, target }, runeData) {
+        const armor = target.actor.wornArmor ?? target.actor.itemTypes?.armor?.find(item => item.isEquipped);
+        if (!armor) {
+            await this.createRiderMessage(runeData, `<p><strong>${target.name}</strong> wears no armor for the acid to damage.</p>`, { combat });
+            return;
+        }
+
+        const roll = await new Roll(runeData.armorDamage).evaluate();
+        const hardness = armor.system.hardness ?? 0;
+        const damage = Math.max(0, roll.total - hardness);
+        const before = armor.system.hp?.value ?? 0;
+        const after = Math.max(0, before - damage);
+
+        await armor.update({ "system.hp.value": after });
+        this.log(`${runeData.name} dealt ${damage} damage to ${target.name}'s ${armor.name} (${before} → ${after} HP)`);
+
+        const brokenText = armor.system.hp?.brokenThreshold && after <= armor.system.hp.brokenThreshold
+            ? " It is broken."
+            : "";
+        await this.createRiderMessage(
+            runeData,
+            `<p><strong>${target.name}</strong>'s ${armor.name} takes ${roll.total} acid damage (${damage} after Hardness ${hardness}) and drops to ${after} HP.${brokenText}</p>`,
+            { undo: [{ type: UNDO_TYPES.RESTORE_ITEM_HP, uuid: armor.uuid, value: before }], rolls: [roll], combat }
+        );
+    }
+}
+
+export class ShockRuneAutomation extends WeaponRiderAutomation {
+    constructor() {
+        super({
+            slug: "shock",
+            name: "Shock Rune",
+            grades: {
+                "standard": {
+                    name: "Shock Rune",
+                    arcDamage: "1d6",
+                    range: 10,
+                    targets: 2
+                },
+                "greater": {
+                    name: "Greater Shock Rune",
+                    arcDamage: "1d12",
+                    range: 10,
+                    targets: 2
+                }
+            },
+            triggers: [RUNE_TRIGGERS.ON_CRIT],
+            configurableFields: ["range", "targets"]
+        });
+    }
+
+    /**
+     * Get the creatures electricity can arc to: the attacker's enemies near the target, closest first
+     */
+    getArcTargets(attackerToken, target, runeData) {
+        const attackerAlliance = getAlliance(attackerToken.actor, attackerToken);
+
+        return target.parent.tokens
+            .filter(token => token !== target && token !== attackerToken && token.actor)
+            .filter(token => (token.actor.system.attributes?.hp?.value ?? 0) > 0)
+            .filter(token => areEnemies(attackerAlliance, getAlliance(token.actor, token)))
+            .map(token => ({ token, distance: measureDistance(target, token) }))
+            .filter(({ distance }) => distance <= runeData.range)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, runeData.targets)
+            .map(({ token }) => token);
+    }
+
+    /**
+     * Critical hits arc electricity to nearby creatures
+     */
+    async applyRider({ combat, token, target }, runeData) {
+        const arcTargets = token ? this.getArcTargets(token, target, runeData) : [];
+        if (!arcTargets.length) {
+            await this.createRiderMessage(runeData, `<p>Electricity crackles around <strong>${target.name}</strong>, but no other creature is within ${runeData.range} feet.</p>`, { combat });
+            return;
+        }
+
+        // Every arc deals the same amount of damage
+        const roll = await this.rollDamage(runeData.arcDamage, "electricity");
+        const undo = [];
+        for (const arcTarget of arcTargets) {
+            const lost = await this.applyDamage(arcTarget, roll);
+            undo.push({ type: UNDO_TYPES.RESTORE_HP, uuid: arcTarget.actor.uuid, ...lost });
+        }
+
+        const names = arcTargets.map(arcTarget => `<strong>${arcTarget.name}</strong>`).join(" and ");
+        await this.createRiderMessage(
+            runeData,
+            `<p>Electricity arcs from <strong>${target.name}</strong> to ${names} for ${roll.total} electricity damage.</p>`,
+            { undo, rolls: [roll], combat }
+        );
+    }
+}